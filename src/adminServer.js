@@ -0,0 +1,339 @@
+const http = require('http');
+const crypto = require('crypto');
+const {
+    loadAllowedUsers,
+    addAllowedUser,
+    removeAllowedUser,
+    getAccessRequests,
+    removeAccessRequest,
+    loadUserPreferencesFor,
+    getUserPreference,
+    setUserPreference,
+    getRecentCheckRuns
+} = require('./storage');
+const { hasUserCredentials } = require('./credentials');
+const { getDeliverySettings, describeDeliveryMode } = require('./digest');
+const { getBot } = require('./telegram');
+
+// Cap on form bodies; the dashboard only ever posts a user ID and a token
+const MAX_BODY_BYTES = 4096;
+
+let server = null;
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Checks HTTP Basic credentials against ADMIN_DASHBOARD_PASSWORD (any username)
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} password - Configured password
+ * @returns {boolean} True if authenticated
+ */
+function isAuthorized(req, password) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Basic ')) return false;
+
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const given = decoded.slice(decoded.indexOf(':') + 1);
+    return safeEqual(given, password);
+}
+
+/**
+ * Derives the token that must accompany every action, so other sites can't
+ * make the browser post to the dashboard with its cached Basic credentials
+ * @param {string} password - Configured password
+ * @returns {string} Form token
+ */
+function getFormToken(password) {
+    return crypto.createHmac('sha256', password).update('admin-dashboard-form').digest('hex');
+}
+
+/**
+ * Gets the display name known for a user
+ * @param {string} userId - Telegram user ID
+ * @returns {string} Name and @username, or '' if unknown
+ */
+function getDisplayName(userId) {
+    const profile = getUserPreference(userId, 'profile', null);
+    if (!profile) return '';
+    return [profile.name, profile.username ? `@${profile.username}` : null].filter(Boolean).join(' ');
+}
+
+/**
+ * Describes a user's reminder setting
+ * @param {string} userId - Telegram user ID
+ * @returns {string} Reminder setting
+ */
+function describeReminder(userId) {
+    if (!getUserPreference(userId, 'reminderEnabled', false)) return 'Off';
+
+    const delivery = getDeliverySettings(loadUserPreferencesFor(userId));
+    if (delivery.mode !== 'immediate') return describeDeliveryMode(delivery);
+
+    const schedule = getUserPreference(userId, 'reminderSchedule', null);
+    if (schedule) return `Schedule: ${schedule.text}`;
+
+    const interval = getUserPreference(userId, 'reminderInterval', null);
+    return interval ? `Every ${interval} min` : 'On';
+}
+
+/**
+ * Formats an ISO timestamp for display
+ * @param {string} iso - ISO timestamp
+ * @returns {string} Local time
+ */
+function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+/**
+ * Renders the dashboard page
+ * @param {string} token - Form token
+ * @param {string|null} notice - Result of the last action
+ * @returns {string} HTML
+ */
+function renderDashboard(token, notice) {
+    const allowedUsers = Array.from(loadAllowedUsers());
+    const requests = getAccessRequests();
+    const runs = getRecentCheckRuns(50);
+
+    const actionForm = (action, userId, label) => `<form method="post" action="/${action}">
+            <input type="hidden" name="token" value="${token}">
+            <input type="hidden" name="userId" value="${escapeHtml(userId)}">
+            <button type="submit">${label}</button>
+        </form>`;
+
+    const userRows = allowedUsers.map(userId => `<tr>
+        <td><code>${escapeHtml(userId)}</code></td>
+        <td>${escapeHtml(getDisplayName(userId)) || '<span class="muted">unknown</span>'}</td>
+        <td>${escapeHtml(describeReminder(userId))}</td>
+        <td>${hasUserCredentials(userId) ? '✅ Saved' : '<span class="muted">None</span>'}</td>
+        <td>${actionForm('revoke', userId, 'Revoke')}</td>
+    </tr>`).join('\n');
+
+    const requestRows = requests.map(request => `<tr>
+        <td><code>${escapeHtml(request.userId)}</code></td>
+        <td>${escapeHtml(request.name)}${request.username ? ` @${escapeHtml(request.username)}` : ''}</td>
+        <td>${escapeHtml(formatTime(request.requestedAt))}</td>
+        <td>${actionForm('grant', request.userId, 'Grant')}</td>
+    </tr>`).join('\n');
+
+    const runRows = runs.map(run => {
+        const failures = (run.failures || [])
+            .map(f => `<div class="fail"><code>${escapeHtml(f.userId)}</code>: ${escapeHtml(f.error)}</div>`)
+            .join('');
+        return `<tr class="${run.ok ? '' : 'failed'}">
+        <td>${escapeHtml(formatTime(run.startedAt))}</td>
+        <td>${escapeHtml(run.type)}</td>
+        <td>${run.ok ? (failures ? '⚠️' : '✅') : '❌'}</td>
+        <td>${escapeHtml(run.ok ? run.summary : run.error)}${failures}</td>
+    </tr>`;
+    }).join('\n');
+
+    const table = (headers, rows, empty) => rows
+        ? `<table><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>\n${rows}</table>`
+        : `<p class="muted">${empty}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>PAI Notifier Admin</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+    tr.failed { background: #fdecea; }
+    .muted { color: #888; }
+    .fail { color: #b71c1c; font-size: 0.9em; }
+    .notice { background: #e8f5e9; padding: 0.6rem; margin-bottom: 1rem; }
+    form { margin: 0; }
+</style>
+</head>
+<body>
+<h1>🔐 PAI Notifier Admin</h1>
+${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+<h2>Allowed users (${allowedUsers.length})</h2>
+${table(['User ID', 'Name', 'Reminder', 'PAI credentials', ''], userRows, 'No allowed users (except admin).')}
+<h2>Pending access requests (${requests.length})</h2>
+${table(['User ID', 'Name', 'Requested', ''], requestRows, 'No pending access requests.')}
+<h2>Recent check runs</h2>
+${table(['Started', 'Check', 'Status', 'Result'], runRows, 'No check runs recorded yet.')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Reads a urlencoded form body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<URLSearchParams>} Parsed form
+ */
+function readForm(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Grants access to a user, the same way the Telegram admin panel does
+ * @param {string} userId - Telegram user ID
+ */
+async function grantAccess(userId) {
+    const request = getAccessRequests().find(r => r.userId === userId);
+    if (request) {
+        setUserPreference(userId, 'profile', { name: request.name, username: request.username });
+    }
+
+    addAllowedUser(userId);
+    removeAccessRequest(userId);
+
+    const bot = getBot();
+    if (!bot) return;
+
+    try {
+        await bot.sendMessage(userId, '🎉 Your access request has been approved! You can now use the bot.\n\nSend /start to get started.');
+    } catch (error) {
+        // User may have blocked the bot
+    }
+}
+
+/**
+ * Handles a dashboard request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} password - Configured password
+ */
+async function handleRequest(req, res, password) {
+    if (!isAuthorized(req, password)) {
+        res.writeHead(401, {
+            'WWW-Authenticate': 'Basic realm="PAI Notifier Admin", charset="UTF-8"',
+            'Content-Type': 'text/plain; charset=utf-8'
+        });
+        res.end('Authentication required\n');
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const token = getFormToken(password);
+
+    if (req.method === 'GET' && url.pathname === '/') {
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Frame-Options': 'DENY'
+        });
+        res.end(renderDashboard(token, url.searchParams.get('notice')));
+        return;
+    }
+
+    if (req.method === 'POST' && (url.pathname === '/grant' || url.pathname === '/revoke')) {
+        const form = await readForm(req);
+        const userId = (form.get('userId') || '').trim();
+
+        if (!safeEqual(form.get('token') || '', token) || !/^-?\d+$/.test(userId)) {
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Invalid request\n');
+            return;
+        }
+
+        let notice;
+        if (url.pathname === '/grant') {
+            await grantAccess(userId);
+            notice = `User ${userId} granted access`;
+        } else {
+            removeAllowedUser(userId);
+            notice = `User ${userId} access revoked`;
+        }
+
+        console.log(`[${new Date().toISOString()}] [ADMIN DASHBOARD] ${notice}`);
+        res.writeHead(303, { 'Location': `/?notice=${encodeURIComponent(notice)}` });
+        res.end();
+        return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found\n');
+}
+
+/**
+ * Starts the admin dashboard if ADMIN_DASHBOARD_PASSWORD is set
+ * Config: ADMIN_DASHBOARD_PORT (default 8081), ADMIN_DASHBOARD_HOST (default
+ * 127.0.0.1 - put a TLS reverse proxy in front before exposing it)
+ * @returns {http.Server|null} The server, or null when disabled
+ */
+function startAdminServer() {
+    const password = process.env.ADMIN_DASHBOARD_PASSWORD;
+    if (!password) return null;
+
+    const port = parseInt(process.env.ADMIN_DASHBOARD_PORT) || 8081;
+    const host = process.env.ADMIN_DASHBOARD_HOST || '127.0.0.1';
+
+    server = http.createServer((req, res) => {
+        handleRequest(req, res, password).catch(error => {
+            console.error(`[${new Date().toISOString()}] Admin dashboard error:`, error.message);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            }
+            res.end('Internal error\n');
+        });
+    });
+
+    // Without this, a failed listen (port in use, bad host) would be an uncaught error
+    server.on('error', error => {
+        console.error(`[${new Date().toISOString()}] Admin dashboard failed to start on ${host}:${port}:`, error.message);
+        server = null;
+    });
+
+    server.listen(port, host, () => {
+        console.log(`🔐 Admin dashboard listening on http://${host}:${port}/`);
+    });
+
+    return server;
+}
+
+/**
+ * Stops the admin dashboard
+ * @returns {Promise<void>}
+ */
+function stopAdminServer() {
+    if (!server) return Promise.resolve();
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+module.exports = {
+    startAdminServer,
+    stopAdminServer
+};
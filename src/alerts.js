@@ -0,0 +1,320 @@
+const { getTopicRules, getArticleTopics, getTopicInfo } = require('./classifier');
+
+/**
+ * Alerts are channel-neutral descriptions of an event; each notification
+ * channel renders them in its own markup.
+ *
+ * Shape:
+ *   title:    headline
+ *   sections: [{ heading?, ordered?, items: [{ icon?, label?, text?, url?, note? }] }]
+ *   link:     { text, url } call to action (optional)
+ *   footer:   closing line (optional)
+ *   urgent:   true for alerts that may bypass the user's quiet hours (optional)
+ *
+ * An item renders as "<icon> <label, bold> — <text>"; `url` links the text
+ * (or the label if there is no text) and `note` goes on an indented line below.
+ */
+
+const REGISTRATION_URL = 'https://www.aktuaris.or.id/exam/registration';
+
+// Articles listed in one digest; the rest are only counted
+const DIGEST_MAX_ARTICLES = 25;
+
+/**
+ * Builds the alert for newly published articles, grouped by primary topic
+ * @param {Array} articles - New article objects
+ * @returns {Object} Alert
+ */
+function buildArticleAlert(articles) {
+    // Keep topics in the order of the rules file
+    const groups = new Map();
+    getTopicRules().topics.forEach(topic => groups.set(topic.id, []));
+    articles.forEach(article => {
+        const primary = getArticleTopics(article)[0];
+        if (!groups.has(primary)) groups.set(primary, []);
+        groups.get(primary).push(article);
+    });
+
+    const sections = [];
+    for (const [topicId, topicArticles] of groups) {
+        if (topicArticles.length === 0) continue;
+
+        const topic = getTopicInfo(topicId);
+        sections.push({
+            heading: `${topic.emoji} ${topic.label}`,
+            ordered: true,
+            items: topicArticles.map(article => ({
+                text: article.title,
+                url: article.url,
+                note: article.matchedKeyword ? `🔑 Matched: ${article.matchedKeyword}` : null
+            }))
+        });
+    }
+
+    return {
+        title: `🔔 ${articles.length} New Article${articles.length > 1 ? 's' : ''} on PAI Website!`,
+        sections,
+        footer: 'Check it out on aktuaris.or.id'
+    };
+}
+
+/**
+ * Builds the alert for a registration change
+ * @param {Object} diff - Result of diffRegistrationState
+ * @param {{isOpen: boolean, periods: Array}} state - Current registration state
+ * @returns {Object} Alert
+ */
+function buildRegistrationAlert(diff, state) {
+    let title;
+    if (diff.closed) {
+        title = '🔴 PAI Exam Registration has CLOSED';
+    } else if (diff.opened) {
+        title = '🟢 PAI Exam Registration is NOW OPEN!';
+    } else {
+        title = '🟡 PAI Exam Registration periods changed';
+    }
+
+    const sections = [];
+
+    if (!diff.opened && diff.added.length > 0) {
+        sections.push({
+            heading: `New period${diff.added.length > 1 ? 's' : ''}:`,
+            items: diff.added.map(p => ({ icon: '➕', text: p.text }))
+        });
+    }
+
+    if (diff.removed.length > 0) {
+        sections.push({
+            heading: 'Removed:',
+            items: diff.removed.map(p => ({ icon: '➖', text: p.text }))
+        });
+    }
+
+    if (state.isOpen) {
+        sections.push({
+            heading: 'Available Periods:',
+            ordered: true,
+            items: state.periods.map(p => ({ text: p.text }))
+        });
+    }
+
+    return {
+        title,
+        sections,
+        link: state.isOpen ? { text: 'Register Now', url: REGISTRATION_URL } : null,
+        urgent: diff.opened
+    };
+}
+
+/**
+ * Builds the alert for periods matching a user's subject watchlist
+ * @param {Array} matches - Result of findWatchedPeriods
+ * @returns {Object} Alert
+ */
+function buildWatchlistAlert(matches) {
+    return {
+        title: '🎯 Registration open for a subject you watch!',
+        sections: [{
+            items: matches.map(({ period, code }) => ({ label: code, text: period.text }))
+        }],
+        link: { text: 'Register Now', url: REGISTRATION_URL },
+        urgent: true
+    };
+}
+
+/**
+ * Builds the alert for exam table changes
+ * @param {Array} changes - Changes from diffExamTables (result changes carry `result`)
+ * @returns {Object} Alert
+ */
+function buildExamAlert(changes) {
+    const items = changes.map(change => {
+        const exam = change.exam;
+
+        if (change.type === 'added') {
+            return {
+                icon: '🆕',
+                label: exam.kode,
+                text: `${exam.periode} • ${exam.kota}`,
+                note: `Status: ${exam.status || '-'}`
+            };
+        }
+
+        if (change.type === 'status') {
+            return {
+                icon: '🔄',
+                label: exam.kode,
+                text: `${exam.periode}: ${change.previousStatus || '-'} → ${exam.status || '-'}`
+            };
+        }
+
+        let text = `${exam.periode}: result published`;
+        if (change.result && change.result.score !== null) {
+            text += ` - ${change.result.score} ${change.result.passed ? '✅ Passed' : '❌ Not passed'}`;
+        }
+        return { icon: '📄', label: exam.kode, text };
+    });
+
+    return {
+        title: '📋 Exam Status Update',
+        sections: [{ items }],
+        footer: 'Use /examstatus in the Telegram bot for the full list.'
+    };
+}
+
+/**
+ * Builds a daily or weekly digest from pending articles and a registration alert
+ * Articles beyond DIGEST_MAX_ARTICLES are only counted, to stay within message limits.
+ * @param {string} mode - 'daily' or 'weekly'
+ * @param {Array} articles - Articles to include
+ * @param {Object|null} registrationAlert - Registration or watchlist alert, if anything changed
+ * @returns {Object} Alert
+ */
+function buildDigestAlert(mode, articles, registrationAlert) {
+    const sections = [];
+
+    // Registration news goes first - it is the most time-sensitive
+    if (registrationAlert) {
+        sections.push({ heading: registrationAlert.title, items: [] });
+        sections.push(...registrationAlert.sections);
+    }
+
+    if (articles.length > 0) {
+        sections.push({
+            heading: `📰 ${articles.length} new article${articles.length > 1 ? 's' : ''}`,
+            items: []
+        });
+        sections.push(...buildArticleAlert(articles.slice(0, DIGEST_MAX_ARTICLES)).sections);
+
+        const more = articles.length - DIGEST_MAX_ARTICLES;
+        if (more > 0) {
+            sections.push({ items: [{ icon: '➕', text: `${more} more - see /latest or /search` }] });
+        }
+    }
+
+    return {
+        title: `🗞️ Your ${mode === 'weekly' ? 'Weekly' : 'Daily'} PAI Digest`,
+        sections,
+        link: registrationAlert ? registrationAlert.link : null,
+        footer: 'Change how often you get digests with /reminder',
+        urgent: Boolean(registrationAlert && registrationAlert.urgent)
+    };
+}
+
+/**
+ * Builds the notice for articles that were edited or taken down after publication
+ * @param {Array} changes - {type: 'edited'|'removed', article, diff} (diff from summarizeEdit)
+ * @returns {Object} Alert
+ */
+function buildArticleUpdateAlert(changes) {
+    const sections = changes.map(change => {
+        const article = change.article;
+
+        if (change.type === 'removed') {
+            return {
+                heading: `🗑 Removed: ${article.title}`,
+                items: [{ icon: '•', text: 'No longer listed on the PAI website' }]
+            };
+        }
+
+        const items = [{ icon: '🔗', text: 'View article', url: article.url }];
+        change.diff.lines.forEach(line => {
+            items.push({ icon: line.type === '+' ? '➕' : '➖', text: line.text });
+        });
+        if (change.diff.more > 0) {
+            items.push({ icon: '…', text: `${change.diff.more} more changed line(s)` });
+        }
+        return { heading: `✏️ ${article.title}`, items };
+    });
+
+    return {
+        title: `📝 ${changes.length} Article${changes.length > 1 ? 's' : ''} Updated on PAI Website`,
+        sections,
+        footer: 'Turn these notices off with /updates off'
+    };
+}
+
+/**
+ * Builds the admin alert for a scrape that looks broken, or has recovered
+ * @param {string} label - Page name (e.g. 'News list')
+ * @param {Array<{text: string}>} issues - Issues found, or cleared
+ * @param {boolean} recovered - True for a recovery notice
+ * @returns {Object} Alert
+ */
+function buildScraperHealthAlert(label, issues, recovered) {
+    return {
+        title: recovered ? `✅ Scraper recovered: ${label}` : `⚠️ Scraper problem: ${label}`,
+        sections: [{
+            items: issues.map(issue => ({ icon: recovered ? '✔️' : '❗', text: issue.text }))
+        }],
+        footer: recovered
+            ? null
+            : 'The site may have changed. The page HTML is attached - check the parser in src/scraper.js or src/examMonitor.js.',
+        urgent: true
+    };
+}
+
+/**
+ * Renders an alert as text with the given markup helpers
+ * @param {Object} alert - Alert
+ * @param {Object} markup - {escape, bold, italic, link, title} functions of a channel;
+ *                          all of them take raw text and escape it themselves
+ * @param {boolean} includeTitle - False when the channel shows the title separately
+ * @returns {string} Rendered text
+ */
+function renderAlertText(alert, markup, includeTitle = true) {
+    const blocks = [];
+
+    if (includeTitle) {
+        blocks.push(markup.title(alert.title));
+    }
+
+    // Consecutive ordered sections share one numbering (e.g. articles grouped by topic)
+    let number = 0;
+
+    alert.sections.forEach(section => {
+        const lines = [];
+        if (section.heading) lines.push(markup.bold(section.heading));
+        if (!section.ordered) number = 0;
+
+        section.items.forEach(item => {
+            const bullet = section.ordered ? `${++number}.` : (item.icon || '•');
+            let line = `${bullet} `;
+
+            if (item.label) {
+                line += item.url && !item.text
+                    ? markup.link(item.label, item.url)
+                    : markup.bold(item.label);
+                if (item.text) line += ' — ';
+            }
+            if (item.text) {
+                line += item.url ? markup.link(item.text, item.url) : markup.escape(item.text);
+            }
+
+            lines.push(line);
+            if (item.note) lines.push(`   ${markup.escape(item.note)}`);
+        });
+
+        blocks.push(lines.join('\n'));
+    });
+
+    if (alert.link) {
+        blocks.push(`👉 ${markup.link(alert.link.text, alert.link.url)}`);
+    }
+    if (alert.footer) {
+        blocks.push(markup.italic(alert.footer));
+    }
+
+    return blocks.join('\n\n');
+}
+
+module.exports = {
+    buildArticleAlert,
+    buildRegistrationAlert,
+    buildWatchlistAlert,
+    buildExamAlert,
+    buildDigestAlert,
+    buildArticleUpdateAlert,
+    buildScraperHealthAlert,
+    renderAlertText
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+/**
+ * Edit and removal detection for archived articles
+ *
+ * Each archived article keeps a `contentHash` of its title and body. Recent
+ * articles are re-fetched now and then (and straight away when the listing
+ * shows a different title); a different hash means the article was edited.
+ * An archived article whose ID falls within the first listing page but is no
+ * longer on it may have been removed from the site; the caller confirms that
+ * before telling anyone.
+ */
+
+// Recent articles are re-fetched this often while they are this young
+const RECHECK_HOURS = parseInt(process.env.ARTICLE_RECHECK_HOURS) || 6;
+const RECHECK_DAYS = parseInt(process.env.ARTICLE_RECHECK_DAYS) || 30;
+
+// Detail pages re-fetched per check, to stay polite
+const MAX_RECHECKS_PER_RUN = 5;
+
+// Keeps update notices short
+const MAX_DIFF_LINES = 8;
+const MAX_LINE_LENGTH = 160;
+
+// Longer bodies are compared on their first lines only
+const MAX_COMPARED_LINES = 1000;
+
+/**
+ * Hashes the parts of an article that users read
+ * @param {Object} article - Article with title and body
+ * @returns {string} Hex SHA-256 of the title and body
+ */
+function hashArticleContent(article) {
+    return crypto.createHash('sha256')
+        .update(`${article.title || ''}\n${article.body || ''}`)
+        .digest('hex');
+}
+
+/**
+ * Lists the lines removed and added between two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: string, text: string}>} Changed lines, '-' removed and '+' added, in order
+ */
+function diffLines(before, after) {
+    const a = String(before || '').split('\n').slice(0, MAX_COMPARED_LINES);
+    const b = String(after || '').split('\n').slice(0, MAX_COMPARED_LINES);
+
+    // Unchanged lines at either end don't need the table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const oldLines = a.slice(start, endA);
+    const newLines = b.slice(start, endB);
+
+    // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            i++;
+            j++;
+        } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            // Removals first, so a changed line reads old then new
+            changes.push({ type: '-', text: oldLines[i++] });
+        } else {
+            changes.push({ type: '+', text: newLines[j++] });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Builds the short diff shown in update notices
+ * @param {Object} previous - Archived version
+ * @param {Object} current - Freshly fetched version
+ * @returns {{lines: Array<{type: string, text: string}>, more: number}} First changed lines and how many were left out
+ */
+function summarizeEdit(previous, current) {
+    const lines = [];
+    if (previous.title !== current.title) {
+        lines.push({ type: '-', text: `Title: ${previous.title}` });
+        lines.push({ type: '+', text: `Title: ${current.title}` });
+    }
+    lines.push(...diffLines(previous.body, current.body).filter(line => line.text.trim().length > 0));
+
+    const shortened = lines.map(line => ({
+        type: line.type,
+        text: line.text.length > MAX_LINE_LENGTH ? `${line.text.slice(0, MAX_LINE_LENGTH - 1)}…` : line.text
+    }));
+
+    return {
+        lines: shortened.slice(0, MAX_DIFF_LINES),
+        more: Math.max(0, shortened.length - MAX_DIFF_LINES)
+    };
+}
+
+/**
+ * Picks the archived articles from a listing whose detail page should be re-fetched
+ * Articles whose listed title differs from the archive come first; then
+ * recent articles not checked for RECHECK_HOURS, least recently checked first.
+ * @param {Array} listing - Articles from the first listing page
+ * @param {Function} getArchived - Looks up an archived article by ID
+ * @param {Date} now - Current time
+ * @returns {Array} Listing articles to re-fetch
+ */
+function selectArticlesToRecheck(listing, getArchived, now = new Date()) {
+    const retitled = [];
+    const due = [];
+
+    listing.forEach(article => {
+        const archived = getArchived(article.id);
+        if (!archived) return;
+
+        if (archived.title !== article.title) {
+            retitled.push(article);
+            return;
+        }
+
+        const firstSeen = new Date(archived.fetchedAt || 0);
+        const lastChecked = new Date(archived.checkedAt || archived.fetchedAt || 0);
+        if (now - firstSeen < RECHECK_DAYS * 86400000 && now - lastChecked >= RECHECK_HOURS * 3600000) {
+            due.push({ article, lastChecked });
+        }
+    });
+
+    due.sort((x, y) => x.lastChecked - y.lastChecked);
+    return [...retitled, ...due.map(entry => entry.article)].slice(0, MAX_RECHECKS_PER_RUN);
+}
+
+/**
+ * Finds archived articles that should be on the first listing page but aren't
+ * Anything with an ID at least as high as the oldest listed one would still
+ * be listed, unless it was taken down - or an old article pinned to the page
+ * stretched the range, so callers check the article's page before believing it.
+ * @param {Array} listing - Articles from the first listing page (not empty)
+ * @param {Array} archived - All archived articles
+ * @returns {Array} Archived articles no longer listed (not yet marked removed)
+ */
+function findRemovedArticles(listing, archived) {
+    if (listing.length === 0) return [];
+
+    const listed = new Set(listing.map(article => article.id));
+    const oldestListed = Math.min(...listing.map(article => parseInt(article.id)));
+
+    return archived.filter(article =>
+        !article.removedAt &&
+        !listed.has(article.id) &&
+        parseInt(article.id) >= oldestListed);
+}
+
+/**
+ * Picks the removal candidates whose page should be checked this run
+ * Articles whose page was confirmed live within RECHECK_HOURS are left out (an
+ * old pinned article keeps newer ones "missing" for as long as it is listed);
+ * the rest take turns, least recently checked first.
+ * @param {Array} missing - From findRemovedArticles
+ * @param {Date} now - Current time
+ * @returns {Array} Articles to check
+ */
+function selectRemovalChecks(missing, now = new Date()) {
+    return missing
+        .filter(article => !article.liveCheckedAt || now - new Date(article.liveCheckedAt) >= RECHECK_HOURS * 3600000)
+        .sort((x, y) => new Date(x.liveCheckedAt || 0) - new Date(y.liveCheckedAt || 0))
+        .slice(0, MAX_RECHECKS_PER_RUN);
+}
+
+module.exports = {
+    hashArticleContent,
+    diffLines,
+    summarizeEdit,
+    selectArticlesToRecheck,
+    findRemovedArticles,
+    selectRemovalChecks
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+const JsonBackend = require('./json');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+let backend = null;
+
+/**
+ * Creates a storage backend
+ *
+ * Every backend implements:
+ *   readDocument(name) / writeDocument(name, data)        - whole documents
+ *   getRecord(collection, key) / setRecord(collection, key, value)
+ *   getAllRecords(collection) / replaceAllRecords(collection, records)
+ *   flush()  - resolves once pending writes are durable
+ *   close()
+ *
+ * @param {string} type - 'json' or 'sqlite'
+ * @returns {Object} Backend instance
+ */
+function createBackend(type) {
+    switch (type) {
+        case 'json':
+            return new JsonBackend({ dataDir: DATA_DIR });
+        case 'sqlite': {
+            const SqliteBackend = require('./sqlite');
+            return new SqliteBackend({
+                file: process.env.SQLITE_PATH || path.join(DATA_DIR, 'pai-notifier.db')
+            });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${type}" (expected "json" or "sqlite")`);
+    }
+}
+
+/**
+ * Gets the configured backend (STORAGE_BACKEND, default "json")
+ * @returns {Object} Backend instance
+ */
+function getBackend() {
+    if (!backend) {
+        backend = createBackend((process.env.STORAGE_BACKEND || 'json').toLowerCase());
+    }
+    return backend;
+}
+
+module.exports = {
+    DATA_DIR,
+    createBackend,
+    getBackend
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes a file atomically: temp file + fsync + rename, so a crash mid-write
+ * leaves either the old or the new content, never a truncated file
+ * @param {string} file - Target path
+ * @param {string} content - File content
+ */
+function writeFileAtomicSync(file, content) {
+    const tmp = `${file}.tmp-${process.pid}`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * JSON file backend - one file per document/collection in the data directory
+ *
+ * Every write reaches the disk (atomically, with fsync) before it returns, so
+ * a hard crash can't lose an update a caller already saw succeed. Before each
+ * write the previous file is kept as `<name>.json.bak`; a file that fails to
+ * parse is restored from that backup instead of being treated as empty.
+ * A write that fails stays in memory (the in-memory copy is authoritative)
+ * and is retried by a per-file queue that always writes the latest snapshot.
+ */
+class JsonBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Directory holding the JSON files
+     */
+    constructor({ dataDir }) {
+        this.dataDir = dataDir;
+        this.cache = new Map();   // name -> { mtimeMs, data }
+        this.dirty = new Set();   // names with changes not yet on disk
+        this.queues = new Map();  // name -> promise of the running/last retry
+    }
+
+    /**
+     * Ensures the data directory exists
+     */
+    ensureDataDir() {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Gets the file path for a document or collection
+     * @param {string} name - Document/collection name
+     * @returns {string} Absolute file path
+     */
+    filePath(name) {
+        return path.join(this.dataDir, `${name}.json`);
+    }
+
+    /**
+     * Parses a file, falling back to its backup if it is corrupt
+     * @param {string} name - Document/collection name
+     * @returns {any} Parsed content
+     */
+    parseWithRecovery(name) {
+        const file = this.filePath(name);
+        const backup = `${file}.bak`;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            // Keep the broken file around for inspection
+            const corrupt = `${file}.corrupt-${Date.now()}`;
+            fs.renameSync(file, corrupt);
+            console.error(`[${new Date().toISOString()}] ⚠️ ${name}.json is corrupt (${error.message}), moved to ${path.basename(corrupt)}`);
+
+            if (!fs.existsSync(backup)) {
+                throw new Error(`${name}.json is corrupt and no backup exists`);
+            }
+
+            let data;
+            try {
+                data = JSON.parse(fs.readFileSync(backup, 'utf8'));
+            } catch (backupError) {
+                throw new Error(`${name}.json is corrupt and its backup is unreadable too`);
+            }
+
+            fs.copyFileSync(backup, file);
+            console.warn(`[${new Date().toISOString()}] Restored ${name}.json from last good backup`);
+            return data;
+        }
+    }
+
+    /**
+     * Reads and caches a file; callers must not mutate the returned object
+     * @param {string} name - Document/collection name
+     * @returns {any} Parsed content or undefined if the file doesn't exist
+     */
+    readCached(name) {
+        // Unsaved changes (a failed write awaiting its retry) win over whatever is on disk
+        const pending = this.cache.get(name);
+        if (this.dirty.has(name) || (pending && pending.mtimeMs === null)) {
+            return pending.data;
+        }
+
+        this.ensureDataDir();
+        const file = this.filePath(name);
+
+        if (!fs.existsSync(file)) {
+            // A crash between backup and rename can leave only the backup
+            if (fs.existsSync(`${file}.bak`)) {
+                fs.copyFileSync(`${file}.bak`, file);
+                console.warn(`[${new Date().toISOString()}] Restored missing ${name}.json from backup`);
+            } else {
+                this.cache.delete(name);
+                return undefined;
+            }
+        }
+
+        const { mtimeMs } = fs.statSync(file);
+        const cached = this.cache.get(name);
+        if (cached && cached.mtimeMs === mtimeMs) {
+            return cached.data;
+        }
+
+        const data = this.parseWithRecovery(name);
+        this.cache.set(name, { mtimeMs: fs.statSync(file).mtimeMs, data });
+        return data;
+    }
+
+    /**
+     * Updates the in-memory copy and writes it to disk
+     * @param {string} name - Document/collection name
+     * @param {any} data - New content (not retained by reference)
+     */
+    writeFile(name, data) {
+        this.cache.set(name, { mtimeMs: null, data: structuredClone(data) });
+        this.dirty.add(name);
+        this.persist(name);
+
+        if (this.dirty.has(name)) {
+            this.schedulePersist(name);
+        }
+    }
+
+    /**
+     * Queues a retry of a failed write unless one is already waiting; the
+     * waiting retry picks up the latest snapshot
+     * @param {string} name - Document/collection name
+     */
+    schedulePersist(name) {
+        const previous = this.queues.get(name);
+        if (previous && previous.waiting) return;
+
+        const task = (previous || Promise.resolve())
+            .catch(() => {})
+            .then(() => {
+                task.waiting = false;
+                return this.persist(name);
+            });
+        task.waiting = true;
+        this.queues.set(name, task);
+    }
+
+    /**
+     * Writes the current snapshot of a file to disk
+     * @param {string} name - Document/collection name
+     */
+    persist(name) {
+        if (!this.dirty.has(name)) return;
+
+        const file = this.filePath(name);
+        const cached = this.cache.get(name);
+        this.dirty.delete(name);
+
+        try {
+            this.ensureDataDir();
+            if (fs.existsSync(file)) {
+                fs.copyFileSync(file, `${file}.bak`);
+            }
+            writeFileAtomicSync(file, JSON.stringify(cached.data, null, 2));
+            cached.mtimeMs = fs.statSync(file).mtimeMs;
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Error writing ${name}.json:`, error.message);
+            // Keep the change in memory and retry with the next write or flush
+            this.dirty.add(name);
+        }
+    }
+
+    readDocument(name) {
+        const data = this.readCached(name);
+        return data === undefined ? undefined : structuredClone(data);
+    }
+
+    writeDocument(name, data) {
+        this.writeFile(name, data);
+    }
+
+    getRecord(collection, key) {
+        const data = this.readCached(collection) || {};
+        return data[key] === undefined ? undefined : structuredClone(data[key]);
+    }
+
+    setRecord(collection, key, value) {
+        const data = this.readDocument(collection) || {};
+        data[key] = value;
+        this.writeFile(collection, data);
+    }
+
+    getAllRecords(collection) {
+        return this.readDocument(collection) || {};
+    }
+
+    replaceAllRecords(collection, records) {
+        this.writeFile(collection, records);
+    }
+
+    /**
+     * Retries failed writes and waits until they have reached the disk
+     */
+    async flush() {
+        for (const name of this.dirty) {
+            this.schedulePersist(name);
+        }
+        await Promise.all(Array.from(this.queues.values()).map(task => task.catch(() => {})));
+    }
+
+    close() {
+        this.cache.clear();
+    }
+}
+
+module.exports = JsonBackend;
+module.exports.writeFileAtomicSync = writeFileAtomicSync;
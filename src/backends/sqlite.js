@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite backend - documents as single rows, collections as one row per record
+ *
+ * Per-user lookups touch a single row instead of the whole preferences file.
+ * Requires the optional `better-sqlite3` dependency.
+ */
+class SqliteBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Database file path
+     */
+    constructor({ file }) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                name TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                PRIMARY KEY (collection, key)
+            );
+        `);
+
+        this.statements = {
+            readDocument: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+            writeDocument: this.db.prepare(`
+                INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            getRecord: this.db.prepare('SELECT data FROM records WHERE collection = ? AND key = ?'),
+            setRecord: this.db.prepare(`
+                INSERT INTO records (collection, key, data, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT(collection, key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            getAllRecords: this.db.prepare('SELECT key, data FROM records WHERE collection = ?'),
+            clearRecords: this.db.prepare('DELETE FROM records WHERE collection = ?')
+        };
+
+        this.replaceAll = this.db.transaction((collection, records) => {
+            const now = new Date().toISOString();
+            this.statements.clearRecords.run(collection);
+            for (const [key, value] of Object.entries(records)) {
+                this.statements.setRecord.run(collection, key, JSON.stringify(value), now);
+            }
+        });
+    }
+
+    readDocument(name) {
+        const row = this.statements.readDocument.get(name);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    writeDocument(name, data) {
+        this.statements.writeDocument.run(name, JSON.stringify(data), new Date().toISOString());
+    }
+
+    getRecord(collection, key) {
+        const row = this.statements.getRecord.get(collection, String(key));
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    setRecord(collection, key, value) {
+        this.statements.setRecord.run(collection, String(key), JSON.stringify(value), new Date().toISOString());
+    }
+
+    getAllRecords(collection) {
+        const records = {};
+        for (const row of this.statements.getAllRecords.all(collection)) {
+            records[row.key] = JSON.parse(row.data);
+        }
+        return records;
+    }
+
+    replaceAllRecords(collection, records) {
+        this.replaceAll(collection, records);
+    }
+
+    /**
+     * Checks if the database holds any data yet
+     * @returns {boolean} True if empty
+     */
+    isEmpty() {
+        const documents = this.db.prepare('SELECT COUNT(*) AS n FROM documents').get().n;
+        const records = this.db.prepare('SELECT COUNT(*) AS n FROM records').get().n;
+        return documents + records === 0;
+    }
+
+    /**
+     * Writes are synchronous and transactional, so there is nothing to wait for
+     */
+    async flush() {}
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteBackend;
@@ -0,0 +1,311 @@
+const { PAGE_STEP, fetchNewsPage, parseArticles, parsePagerOffsets, fetchArticleDetails } = require('./scraper');
+const { classifyArticle } = require('./classifier');
+const { hashArticleContent } = require('./articleChanges');
+const { isCircuitOpen } = require('./httpClient');
+const { loadBackfillJob, saveBackfillJob, getUnarchivedArticles, archiveArticles } = require('./storage');
+
+/**
+ * Archive backfill crawl
+ *
+ * Walks every listing page, following the pager and then probing the next
+ * offset while pages bring unseen articles, and archives the articles that
+ * aren't archived yet. The job is checkpointed after every page, so a
+ * restart resumes where it stopped:
+ *   pending: offsets still to fetch (including the ones in flight)
+ *   done:    offsets fetched and archived
+ *   failed:  offset -> {attempts, error}; retried after the other pages
+ * Requests are spread over BACKFILL_CONCURRENCY workers and limited to
+ * BACKFILL_REQUESTS_PER_MINUTE, counting listing and detail pages alike.
+ */
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.BACKFILL_CONCURRENCY) || 2);
+const REQUESTS_PER_MINUTE = Math.max(1, parseInt(process.env.BACKFILL_REQUESTS_PER_MINUTE) || 60);
+
+// Failed pages get this many tries in one run, with a pause between rounds
+const MAX_PAGE_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Safety limit on the number of listing pages
+const MAX_PAGES = 1000;
+
+// Promise of the run in progress (null when idle)
+let currentRun = null;
+
+// Earliest time the next request may start
+let nextRequestAt = 0;
+
+/**
+ * Small delay
+ * @param {number} ms - Milliseconds to wait
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits for the next free request slot under the rate limit
+ */
+async function waitForRequestSlot() {
+    const now = Date.now();
+    const wait = Math.max(0, nextRequestAt - now);
+    nextRequestAt = Math.max(now, nextRequestAt) + 60000 / REQUESTS_PER_MINUTE;
+    if (wait > 0) await delay(wait);
+}
+
+/**
+ * Creates a fresh job
+ * @returns {Object} Job state
+ */
+function createJob() {
+    return {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        finishedAt: null,
+        step: PAGE_STEP,
+        pending: [0],
+        done: [],
+        failed: {},
+        ids: [],
+        archived: 0,
+        stopReason: null
+    };
+}
+
+/**
+ * Error for a page that can't be fetched while the site is down
+ * @returns {Error} Error with code 'CIRCUIT_OPEN'
+ */
+function circuitOpenError() {
+    const error = new Error('The PAI website is unreachable');
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+}
+
+/**
+ * Fetches one listing page, archives its missing articles and queues the
+ * pages it leads to
+ * @param {Object} job - Job state (updated in place)
+ * @param {number} offset - Page offset
+ */
+async function processPage(job, offset) {
+    await waitForRequestSlot();
+    const html = await fetchNewsPage(offset);
+    const articles = parseArticles(html);
+
+    const known = new Set(job.ids);
+    const newIds = articles.filter(article => !known.has(article.id)).map(article => article.id);
+
+    const linked = parsePagerOffsets(html);
+    if (offset === 0 && linked.some(value => value > 0)) {
+        job.step = linked.find(value => value > 0);
+    }
+
+    // Detail pages one at a time, each under the rate limit
+    const missing = getUnarchivedArticles(articles);
+    let fetched = 0;
+    for (const article of missing) {
+        await waitForRequestSlot();
+        const detailed = await fetchArticleDetails([article]);
+        if (detailed.length === 0) {
+            if (isCircuitOpen()) throw circuitOpenError();
+            continue;
+        }
+        archiveArticles(detailed.map(item => ({
+            ...item,
+            topics: classifyArticle(item),
+            contentHash: hashArticleContent(item)
+        })));
+        fetched++;
+    }
+    job.archived += fetched;
+
+    if (fetched < missing.length) {
+        // The listing worked, so keep what it taught us about the pager
+        linked.forEach(value => queueOffset(job, value));
+        throw new Error(`${missing.length - fetched} article detail page(s) failed`);
+    }
+
+    job.ids.push(...newIds);
+    linked.forEach(value => queueOffset(job, value));
+
+    // Past the pager: keep going while pages bring articles this crawl hasn't seen
+    if (newIds.length > 0) {
+        queueOffset(job, offset + job.step, true);
+    }
+}
+
+/**
+ * Adds an offset to the queue unless it is already known
+ * @param {Object} job - Job state (updated in place)
+ * @param {number} offset - Page offset
+ * @param {boolean} probe - A guess past the pager: skip it if the pager already leads further
+ */
+function queueOffset(job, offset, probe = false) {
+    if (job.done.includes(offset) || job.pending.includes(offset) || job.failed[offset]) return;
+    if (probe && job.pending.some(value => value > offset)) return;
+    if (job.done.length + job.pending.length >= MAX_PAGES) return;
+
+    job.pending.push(offset);
+    job.pending.sort((a, b) => a - b);
+}
+
+/**
+ * Works through the pending pages with CONCURRENCY workers
+ * Stops early (leaving the rest pending) if the site goes down.
+ * @param {Object} job - Job state (updated and saved after every page)
+ */
+async function runPass(job) {
+    const claimed = new Set();
+    let stopped = false;
+
+    const worker = async () => {
+        while (!stopped) {
+            const offset = job.pending.find(value => !claimed.has(value));
+            if (offset === undefined) {
+                // Pages still in flight may lead to more pages
+                if (claimed.size === 0) return;
+                await delay(200);
+                continue;
+            }
+
+            claimed.add(offset);
+            try {
+                await processPage(job, offset);
+                job.done.push(offset);
+                job.pending = job.pending.filter(value => value !== offset);
+                delete job.failed[offset];
+                console.log(`[${new Date().toISOString()}] Backfill: page at offset ${offset} done (${job.done.length} page(s), ${job.archived} archived)`);
+            } catch (error) {
+                if (error.code === 'CIRCUIT_OPEN' || isCircuitOpen()) {
+                    // Not the page's fault - it stays pending for the next run
+                    stopped = true;
+                    job.stopReason = 'The PAI website is unreachable';
+                } else if (error.response && error.response.status < 500) {
+                    // A 4xx means a guess went past the last page
+                    job.pending = job.pending.filter(value => value !== offset);
+                } else {
+                    const attempts = (job.failed[offset] ? job.failed[offset].attempts : 0) + 1;
+                    job.failed[offset] = { attempts, error: error.message };
+                    job.pending = job.pending.filter(value => value !== offset);
+                    console.error(`[${new Date().toISOString()}] Backfill: page at offset ${offset} failed (attempt ${attempts}):`, error.message);
+                }
+            } finally {
+                claimed.delete(offset);
+                job.updatedAt = new Date().toISOString();
+                saveBackfillJob(job);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+}
+
+/**
+ * Runs a job until every page is done or has used up its attempts
+ * @param {Object} job - Job state
+ * @returns {Promise<Object>} Progress at the end of the run
+ */
+async function runJob(job) {
+    console.log(`[${new Date().toISOString()}] Backfill running (${job.done.length} page(s) done, ${job.pending.length} pending, concurrency ${CONCURRENCY}, ${REQUESTS_PER_MINUTE} request(s)/min)`);
+
+    for (;;) {
+        await runPass(job);
+        if (job.stopReason) break;
+
+        const retryable = Object.keys(job.failed)
+            .filter(offset => job.failed[offset].attempts < MAX_PAGE_ATTEMPTS);
+        if (retryable.length === 0) break;
+
+        console.log(`[${new Date().toISOString()}] Backfill: retrying ${retryable.length} failed page(s) in ${RETRY_DELAY_MS / 1000}s`);
+        await delay(RETRY_DELAY_MS);
+        job.pending = [...job.pending, ...retryable.map(Number)].sort((a, b) => a - b);
+    }
+
+    job.status = job.stopReason ? 'paused' : 'done';
+    job.finishedAt = job.stopReason ? null : new Date().toISOString();
+    job.updatedAt = new Date().toISOString();
+    saveBackfillJob(job);
+
+    const progress = getBackfillProgress();
+    console.log(`[${new Date().toISOString()}] Backfill ${job.status}: ${progress.pagesDone} page(s), ${progress.articles} article(s), ${progress.archived} archived, ${progress.pagesFailed} failed page(s)`);
+    return progress;
+}
+
+/**
+ * Starts the backfill, or resumes the saved one
+ * An unfinished job resumes from its checkpoint. A finished job with failed
+ * pages retries just those; otherwise (or with `restart`) a new crawl starts.
+ * @param {Object} options
+ * @param {boolean} options.restart - Discard the checkpoint and start over
+ * @returns {{promise: Promise<Object>, resumed: boolean, alreadyRunning: boolean}} Run handle; the promise resolves with the final progress
+ */
+function startBackfill({ restart = false } = {}) {
+    if (currentRun) {
+        return { promise: currentRun, resumed: false, alreadyRunning: true };
+    }
+
+    let job = restart ? null : loadBackfillJob();
+    let resumed = true;
+
+    if (job && job.status === 'done') {
+        const failed = Object.keys(job.failed).map(Number);
+        if (failed.length > 0) {
+            // Give failed pages a fresh set of attempts
+            job.pending = failed;
+            job.failed = {};
+        } else {
+            job = null;
+        }
+    }
+    if (!job) {
+        job = createJob();
+        resumed = false;
+    }
+
+    job.status = 'running';
+    job.stopReason = null;
+    saveBackfillJob(job);
+
+    currentRun = runJob(job)
+        .catch(error => {
+            console.error(`[${new Date().toISOString()}] Backfill error:`, error.message);
+            job.status = 'paused';
+            job.stopReason = error.message;
+            saveBackfillJob(job);
+            return getBackfillProgress();
+        })
+        .finally(() => {
+            currentRun = null;
+        });
+
+    return { promise: currentRun, resumed, alreadyRunning: false };
+}
+
+/**
+ * Describes the saved job for status output
+ * @returns {Object|null} Progress, or null if no backfill has run
+ */
+function getBackfillProgress() {
+    const job = loadBackfillJob();
+    if (!job) return null;
+
+    return {
+        status: job.status,
+        running: Boolean(currentRun) && job.status === 'running',
+        startedAt: job.startedAt,
+        updatedAt: job.updatedAt,
+        finishedAt: job.finishedAt,
+        pagesDone: job.done.length,
+        pagesPending: job.pending.length,
+        pagesFailed: Object.keys(job.failed).length,
+        articles: job.ids.length,
+        archived: job.archived,
+        stopReason: job.stopReason
+    };
+}
+
+module.exports = {
+    startBackfill,
+    getBackfillProgress
+};
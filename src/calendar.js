@@ -0,0 +1,197 @@
+const { parseDate } = require('./scraper');
+
+const PRODID = '-//PAI Notifier//Exam Calendar//EN';
+const UID_DOMAIN = 'pai-notifier.aktuaris.or.id';
+
+/**
+ * Finds a date range such as "1 - 30 Juni 2025", "28 Mei - 5 Juni 2025",
+ * "1 Juni 2025 s/d 5 Juli 2025" or a single date in free text
+ * @param {string} text - Text such as a period name or dropdown option
+ * @returns {{start: string, end: string}|null} Inclusive YYYY-MM-DD range or null
+ */
+function parseDateRange(text) {
+    if (!text) return null;
+
+    const separator = '\\s*(?:-|–|—|s\\.?\\/d\\.?|sd|sampai(?: dengan)?|to|until)\\s*';
+
+    // "28 Mei - 5 Juni 2025" or "1 Juni 2025 - 5 Juli 2025"
+    const full = text.match(new RegExp(`(\\d{1,2}\\s+[A-Za-z]+\\.?(?:\\s+\\d{4})?)${separator}(\\d{1,2}\\s+[A-Za-z]+\\.?\\s+\\d{4})`, 'i'));
+    if (full) {
+        const end = parseDate(full[2]);
+        const year = end && end.slice(0, 4);
+        const start = parseDate(/\d{4}/.test(full[1]) ? full[1] : `${full[1]} ${year}`);
+        if (start && end) return { start, end };
+    }
+
+    // "1 - 30 Juni 2025"
+    const sameMonth = text.match(new RegExp(`\\b(\\d{1,2})${separator}(\\d{1,2}\\s+[A-Za-z]+\\.?\\s+\\d{4})`, 'i'));
+    if (sameMonth) {
+        const end = parseDate(sameMonth[2]);
+        if (end) {
+            return { start: `${end.slice(0, 8)}${sameMonth[1].padStart(2, '0')}`, end };
+        }
+    }
+
+    const single = parseDate(text);
+    return single ? { start: single, end: single } : null;
+}
+
+/**
+ * Escapes text for an iCalendar TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats YYYY-MM-DD as an iCalendar DATE, optionally shifted by whole days
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} addDays - Days to add
+ * @returns {string} Date as YYYYMMDD
+ */
+function toIcsDate(date, addDays = 0) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + addDays);
+    return d.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Makes a UID-safe slug
+ * @param {string} text - Raw text
+ * @returns {string} Slug
+ */
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Builds an all-day VEVENT
+ * @param {Object} event - {uid, start, end, summary, description, location, url}
+ * @returns {Array<string>} Content lines
+ */
+function buildEvent(event) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        // Re-exports must win over older copies of the same UID
+        `SEQUENCE:${Math.floor(Date.now() / 60000)}`,
+        `DTSTART;VALUE=DATE:${toIcsDate(event.start)}`,
+        `DTEND;VALUE=DATE:${toIcsDate(event.end, 1)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Builds an iCalendar file from exam rows and registration periods
+ * UIDs are stable per exam code and per registration period, so importing a
+ * newer export updates events instead of duplicating them.
+ * @param {Array} exams - Exam rows from parseExamTable
+ * @param {Array} periods - Registration periods from checkRegistrationOpen
+ * @returns {{ics: string, included: number, skipped: Array<string>}} Calendar text,
+ *          number of events, and labels of entries without a recognizable date
+ */
+function buildExamCalendar(exams, periods) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:PAI Exams'
+    ];
+    const skipped = [];
+    const examEvents = new Map();
+
+    for (const exam of exams) {
+        const range = parseDateRange(exam.periode);
+        if (!range) {
+            skipped.push(`${exam.kode} (${exam.periode})`);
+            continue;
+        }
+
+        // One event per exam code; for retakes keep the latest sitting
+        const existing = examEvents.get(exam.kode);
+        if (existing && existing.start > range.start) continue;
+
+        examEvents.set(exam.kode, {
+            uid: `exam-${slugify(exam.kode)}@${UID_DOMAIN}`,
+            start: range.start,
+            end: range.end,
+            summary: `PAI Exam ${exam.kode}`,
+            description: `${exam.periode}\nStatus: ${exam.status || '-'}`,
+            location: exam.kota,
+            url: 'https://www.aktuaris.or.id/exam/index'
+        });
+    }
+
+    examEvents.forEach(event => lines.push(...buildEvent(event)));
+
+    let registrationCount = 0;
+    for (const period of periods) {
+        const range = parseDateRange(period.text);
+        if (!range) {
+            skipped.push(`Registration: ${period.text}`);
+            continue;
+        }
+
+        registrationCount++;
+        lines.push(...buildEvent({
+            uid: `registration-${slugify(period.value || period.text)}@${UID_DOMAIN}`,
+            start: range.start,
+            end: range.end,
+            summary: 'PAI Exam Registration',
+            description: period.text,
+            url: 'https://www.aktuaris.or.id/exam/registration'
+        }));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return {
+        ics: lines.map(foldLine).join('\r\n') + '\r\n',
+        included: examEvents.size + registrationCount,
+        skipped
+    };
+}
+
+module.exports = {
+    parseDateRange,
+    buildExamCalendar
+};
@@ -0,0 +1,65 @@
+const axios = require('axios');
+const { renderAlertText } = require('../alerts');
+
+// Discord embed limits
+const MAX_TITLE = 256;
+const MAX_DESCRIPTION = 4096;
+
+/**
+ * Escapes Discord markdown
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeDiscord(text) {
+    return String(text).replace(/[\\*_~`|>[\]]/g, '\\$&');
+}
+
+/**
+ * Cuts text to a maximum length
+ * @param {string} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string} Text of at most `max` characters
+ */
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Discord webhook channel - the target is a webhook URL
+ */
+class DiscordChannel {
+    constructor() {
+        this.type = 'discord';
+        this.label = 'Discord';
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    validateTarget(target) {
+        return /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/.test(String(target))
+            ? null
+            : 'Not a Discord webhook URL (https://discord.com/api/webhooks/...)';
+    }
+
+    async send(webhookUrl, alert) {
+        const description = renderAlertText(alert, {
+            escape: escapeDiscord,
+            title: escapeDiscord,
+            bold: text => `**${escapeDiscord(text)}**`,
+            italic: text => `*${escapeDiscord(text)}*`,
+            link: (text, url) => `[${escapeDiscord(text)}](${url.replace(/\)/g, '%29')})`
+        }, false);
+
+        await axios.post(webhookUrl, {
+            embeds: [{
+                title: truncate(alert.title, MAX_TITLE),
+                description: truncate(description, MAX_DESCRIPTION),
+                color: 0x1f6feb
+            }]
+        }, { timeout: 15000 });
+    }
+}
+
+module.exports = DiscordChannel;
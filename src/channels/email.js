@@ -0,0 +1,85 @@
+const { renderAlertText } = require('../alerts');
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * SMTP email channel - the target is an email address
+ *
+ * Config: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (true for port 465),
+ * SMTP_USER, SMTP_PASS, SMTP_FROM (defaults to SMTP_USER)
+ */
+class EmailChannel {
+    constructor() {
+        this.type = 'email';
+        this.label = 'Email';
+        this.transport = null;
+    }
+
+    isAvailable() {
+        return Boolean(process.env.SMTP_HOST);
+    }
+
+    validateTarget(target) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(target)) ? null : 'Not a valid email address';
+    }
+
+    /**
+     * Creates the SMTP transport on first use
+     * @returns {Object} Nodemailer transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            const nodemailer = require('nodemailer');
+            const port = parseInt(process.env.SMTP_PORT) || 587;
+
+            this.transport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+        }
+        return this.transport;
+    }
+
+    async send(address, alert) {
+        const text = renderAlertText(alert, {
+            escape: text => text,
+            title: text => text,
+            bold: text => text,
+            italic: text => text,
+            link: (text, url) => `${text} <${url}>`
+        });
+
+        const html = renderAlertText(alert, {
+            escape: escapeHtml,
+            title: text => `<h2>${escapeHtml(text)}</h2>`,
+            bold: text => `<strong>${escapeHtml(text)}</strong>`,
+            italic: text => `<em>${escapeHtml(text)}</em>`,
+            link: (text, url) => `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`
+        }).replace(/\n/g, '<br>\n').replace(/<\/h2>(<br>\n)+/, '</h2>\n');
+
+        await this.getTransport().sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: address,
+            subject: alert.title,
+            text,
+            html: `<div style="font-family: sans-serif">${html}</div>`
+        });
+    }
+}
+
+module.exports = EmailChannel;
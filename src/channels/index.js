@@ -0,0 +1,52 @@
+const TelegramChannel = require('./telegram');
+const EmailChannel = require('./email');
+const DiscordChannel = require('./discord');
+const SlackChannel = require('./slack');
+
+const CHANNEL_TYPES = ['telegram', 'email', 'discord', 'slack'];
+
+let channels = null;
+
+/**
+ * Gets a notification channel
+ *
+ * Every channel implements:
+ *   type / label              - ID and display name
+ *   isAvailable()             - whether the deployment is configured for it
+ *   validateTarget(target)    - error message for a bad address/URL, or null
+ *   send(target, alert)       - renders and delivers an alert (see alerts.js)
+ *
+ * @param {string} type - Channel type
+ * @returns {Object|null} Channel instance or null if unknown
+ */
+function getChannel(type) {
+    if (!channels) {
+        channels = new Map([
+            ['telegram', new TelegramChannel()],
+            ['email', new EmailChannel()],
+            ['discord', new DiscordChannel()],
+            ['slack', new SlackChannel()]
+        ]);
+    }
+    return channels.get(type) || null;
+}
+
+/**
+ * Gets the channel types this deployment offers: NOTIFY_CHANNELS (comma-separated,
+ * default all) narrowed to the ones that are configured
+ * @returns {Array<string>} Channel types
+ */
+function getEnabledChannelTypes() {
+    const wanted = (process.env.NOTIFY_CHANNELS || CHANNEL_TYPES.join(','))
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean);
+
+    return CHANNEL_TYPES.filter(type => wanted.includes(type) && getChannel(type).isAvailable());
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    getChannel,
+    getEnabledChannelTypes
+};
@@ -0,0 +1,53 @@
+const axios = require('axios');
+const { renderAlertText } = require('../alerts');
+
+/**
+ * Escapes text for Slack mrkdwn
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeSlack(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack incoming-webhook channel - the target is a webhook URL
+ */
+class SlackChannel {
+    constructor() {
+        this.type = 'slack';
+        this.label = 'Slack';
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    validateTarget(target) {
+        return /^https:\/\/hooks\.slack\.com\/services\/[\w/]+$/.test(String(target))
+            ? null
+            : 'Not a Slack incoming webhook URL (https://hooks.slack.com/services/...)';
+    }
+
+    async send(webhookUrl, alert) {
+        const text = renderAlertText(alert, {
+            escape: escapeSlack,
+            title: text => `*${escapeSlack(text)}*`,
+            bold: text => `*${escapeSlack(text)}*`,
+            italic: text => `_${escapeSlack(text)}_`,
+            // "|" ends the link text in Slack links and can't be escaped
+            link: (text, url) => `<${url}|${escapeSlack(text).replace(/\|/g, '/')}>`
+        });
+
+        await axios.post(webhookUrl, {
+            text,
+            unfurl_links: false,
+            unfurl_media: false
+        }, { timeout: 15000 });
+    }
+}
+
+module.exports = SlackChannel;
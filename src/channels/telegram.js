@@ -0,0 +1,53 @@
+const { renderAlertText } = require('../alerts');
+
+/**
+ * Renders an alert as Telegram (legacy) Markdown
+ * @param {Object} alert - Alert
+ * @returns {string} Message text
+ */
+function renderTelegramAlert(alert) {
+    // Required lazily: telegram.js itself loads the channels
+    const { escapeMarkdown } = require('../telegram');
+
+    return renderAlertText(alert, {
+        escape: escapeMarkdown,
+        title: text => `*${escapeMarkdown(text)}*`,
+        bold: text => `*${escapeMarkdown(text)}*`,
+        italic: text => `_${escapeMarkdown(text)}_`,
+        link: (text, url) => `[${escapeMarkdown(text)}](${url})`
+    });
+}
+
+/**
+ * Telegram channel - the target is a chat ID
+ */
+class TelegramChannel {
+    constructor() {
+        this.type = 'telegram';
+        this.label = 'Telegram';
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    validateTarget(target) {
+        return /^-?\d+$/.test(String(target)) ? null : 'Not a Telegram chat ID';
+    }
+
+    async send(chatId, alert) {
+        const { getBot } = require('../telegram');
+        const bot = getBot();
+        if (!bot) {
+            throw new Error('Telegram bot is not running');
+        }
+
+        await bot.sendMessage(chatId, renderTelegramAlert(alert), {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+        });
+    }
+}
+
+module.exports = TelegramChannel;
+module.exports.renderTelegramAlert = renderTelegramAlert;
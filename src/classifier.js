@@ -0,0 +1,249 @@
+const { normalize } = require('./search');
+const { loadTopicRules, saveTopicRules, loadArticleArchive, saveArticleArchive } = require('./storage');
+
+const FALLBACK_TOPIC = 'general';
+
+// Score weight of a keyword hit in the title vs. the body
+const TITLE_WEIGHT = 3;
+const BODY_WEIGHT = 1;
+
+/**
+ * Default rules, written to data/topic_rules.json on first use so the admin can edit them.
+ * Keywords match at the start of a word (so "daftar" doesn't match "pendaftaran");
+ * patterns are case-insensitive regexes.
+ */
+const DEFAULT_TOPIC_RULES = {
+    topics: [
+        {
+            id: 'exam',
+            label: 'Exam',
+            emoji: '📝',
+            keywords: ['ujian', 'exam', 'hasil ujian', 'kelulusan', 'soal', 'silabus', 'syllabus'],
+            patterns: ['\\b(A|F|CF|PA|FSA)\\d{1,3}\\b']
+        },
+        {
+            id: 'registration',
+            label: 'Registration',
+            emoji: '🗓',
+            keywords: ['pendaftaran', 'daftar', 'registrasi', 'registration', 'batas waktu', 'deadline'],
+            patterns: []
+        },
+        {
+            id: 'seminar',
+            label: 'Seminar/PPL',
+            emoji: '🎓',
+            keywords: ['seminar', 'webinar', 'ppl', 'workshop', 'pelatihan', 'training', 'konferensi', 'conference', 'cpd'],
+            patterns: []
+        },
+        {
+            id: 'regulation',
+            label: 'Regulation',
+            emoji: '⚖️',
+            keywords: ['ojk', 'pojk', 'seojk', 'peraturan', 'regulasi', 'regulation', 'undang-undang', 'psak', 'ifrs', 'standar praktik', 'kode etik'],
+            patterns: []
+        },
+        {
+            id: 'membership',
+            label: 'Membership',
+            emoji: '🪪',
+            keywords: ['anggota', 'keanggotaan', 'membership', 'iuran', 'fsai', 'asai', 'fellow', 'associate'],
+            patterns: []
+        },
+        {
+            id: FALLBACK_TOPIC,
+            label: 'General',
+            emoji: '📰',
+            keywords: [],
+            patterns: []
+        }
+    ]
+};
+
+/**
+ * Gets the topic rules, seeding the rules file with the defaults if it doesn't exist
+ * @returns {Object} Rules object with a `topics` array
+ */
+function getTopicRules() {
+    const rules = loadTopicRules();
+
+    if (!rules) {
+        saveTopicRules(DEFAULT_TOPIC_RULES);
+        return DEFAULT_TOPIC_RULES;
+    }
+
+    // Never overwrite a file the admin broke while editing; fall back until it's fixed
+    if (!Array.isArray(rules.topics)) {
+        return DEFAULT_TOPIC_RULES;
+    }
+
+    return rules;
+}
+
+/**
+ * Validates topic rules, e.g. after the admin edited the file
+ * @param {Object} rules - Rules object
+ * @returns {Array<string>} List of problems (empty if valid)
+ */
+function validateTopicRules(rules) {
+    const errors = [];
+
+    if (!rules || !Array.isArray(rules.topics)) {
+        return ['Rules must contain a "topics" array'];
+    }
+
+    const ids = new Set();
+    rules.topics.forEach((topic, index) => {
+        if (!topic.id) errors.push(`Topic #${index + 1} has no id`);
+        if (ids.has(topic.id)) errors.push(`Duplicate topic id "${topic.id}"`);
+        ids.add(topic.id);
+
+        (topic.patterns || []).forEach(pattern => {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                errors.push(`Topic "${topic.id}": invalid pattern ${pattern}`);
+            }
+        });
+    });
+
+    if (!ids.has(FALLBACK_TOPIC)) {
+        errors.push(`Missing fallback topic "${FALLBACK_TOPIC}"`);
+    }
+
+    return errors;
+}
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Counts how often a topic's keywords and patterns hit a piece of text
+ * @param {Object} topic - Topic rule
+ * @param {string} text - Raw text
+ * @returns {number} Number of hits
+ */
+function countTopicHits(topic, text) {
+    const normalized = normalize(text);
+    let hits = 0;
+
+    (topic.keywords || []).forEach(keyword => {
+        const regex = new RegExp(`(^|[^\\w])${escapeRegex(normalize(keyword))}`, 'g');
+        hits += (normalized.match(regex) || []).length;
+    });
+
+    (topic.patterns || []).forEach(pattern => {
+        try {
+            hits += (text.match(new RegExp(pattern, 'gi')) || []).length;
+        } catch (error) {
+            // Invalid patterns are reported by validateTopicRules
+        }
+    });
+
+    return hits;
+}
+
+/**
+ * Classifies an article into topics using the title and, when archived, the body
+ * @param {Object} article - Article object
+ * @param {Object} rules - Topic rules (defaults to the rules file)
+ * @returns {Array<string>} Topic IDs, best match first; the fallback topic if nothing matches
+ */
+function classifyArticle(article, rules = getTopicRules()) {
+    const scored = rules.topics
+        .filter(topic => topic.id !== FALLBACK_TOPIC)
+        .map(topic => ({
+            id: topic.id,
+            score: countTopicHits(topic, article.title || '') * TITLE_WEIGHT +
+                countTopicHits(topic, article.body || '') * BODY_WEIGHT
+        }))
+        .filter(topic => topic.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    return scored.length > 0 ? scored.map(topic => topic.id) : [FALLBACK_TOPIC];
+}
+
+/**
+ * Gets an article's topics, classifying it on the fly if it wasn't classified yet
+ * @param {Object} article - Article object
+ * @returns {Array<string>} Topic IDs, best match first
+ */
+function getArticleTopics(article) {
+    return article.topics && article.topics.length > 0 ? article.topics : classifyArticle(article);
+}
+
+/**
+ * Re-runs classification over the whole archive, e.g. after the rules were edited
+ * @returns {number} Number of articles whose topics changed
+ */
+function reclassifyArchive() {
+    const rules = getTopicRules();
+    const archive = loadArticleArchive();
+    let changed = 0;
+
+    Object.values(archive).forEach(article => {
+        const topics = classifyArticle(article, rules);
+        if (JSON.stringify(topics) !== JSON.stringify(article.topics)) {
+            article.topics = topics;
+            changed++;
+        }
+    });
+
+    saveArticleArchive(archive);
+    return changed;
+}
+
+/**
+ * Looks up a topic's display info
+ * @param {string} topicId - Topic ID
+ * @returns {{id: string, label: string, emoji: string}} Topic info
+ */
+function getTopicInfo(topicId) {
+    const topic = getTopicRules().topics.find(t => t.id === topicId);
+    return topic
+        ? { id: topic.id, label: topic.label || topic.id, emoji: topic.emoji || '📰' }
+        : { id: topicId, label: topicId, emoji: '📰' };
+}
+
+/**
+ * Splits articles into those in a user's chosen topics and the rest
+ * Users without chosen topics get everything.
+ * @param {Array} articles - Candidate articles
+ * @param {Array<string>} topics - User's chosen topic IDs
+ * @returns {{matched: Array, filtered: Array}}
+ */
+function filterByTopics(articles, topics) {
+    if (!topics || topics.length === 0) {
+        return { matched: articles, filtered: [] };
+    }
+
+    const matched = [];
+    const filtered = [];
+
+    articles.forEach(article => {
+        if (getArticleTopics(article).some(id => topics.includes(id))) {
+            matched.push(article);
+        } else {
+            filtered.push(article);
+        }
+    });
+
+    return { matched, filtered };
+}
+
+module.exports = {
+    FALLBACK_TOPIC,
+    DEFAULT_TOPIC_RULES,
+    getTopicRules,
+    validateTopicRules,
+    classifyArticle,
+    getArticleTopics,
+    reclassifyArchive,
+    getTopicInfo,
+    filterByTopics
+};
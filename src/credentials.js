@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const {
+    loadUserPreferences,
+    saveUserPreferences,
+    getUserPreference,
+    setUserPreference
+} = require('./storage');
+
+// Stored format: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts)
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'pai-notifier-credentials';
+
+/**
+ * Derives a 256-bit key from a master key string
+ * @param {string} secret - Master key from the environment
+ * @returns {{id: string, key: Buffer}} Derived key and a short ID to tell keys apart
+ */
+function deriveKey(secret) {
+    const key = crypto.scryptSync(secret, KEY_SALT, 32);
+    const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    return { id, key };
+}
+
+/**
+ * Gets the current master key (CREDENTIALS_KEY)
+ * @returns {{id: string, key: Buffer}|null} Derived key or null if not configured
+ */
+function getCurrentKey() {
+    const secret = process.env.CREDENTIALS_KEY;
+    return secret ? deriveKey(secret) : null;
+}
+
+/**
+ * Gets all keys that may decrypt stored secrets: the current one first,
+ * then CREDENTIALS_PREVIOUS_KEYS (comma-separated) during a rotation
+ * @returns {Array<{id: string, key: Buffer}>} Derived keys
+ */
+function getDecryptionKeys() {
+    const keys = [];
+    const current = getCurrentKey();
+    if (current) keys.push(current);
+
+    (process.env.CREDENTIALS_PREVIOUS_KEYS || '')
+        .split(',')
+        .map(secret => secret.trim())
+        .filter(Boolean)
+        .forEach(secret => keys.push(deriveKey(secret)));
+
+    return keys;
+}
+
+/**
+ * Checks if credential encryption is configured
+ * @returns {boolean} True if CREDENTIALS_KEY is set
+ */
+function isEncryptionConfigured() {
+    return Boolean(process.env.CREDENTIALS_KEY);
+}
+
+/**
+ * Checks if a stored value is already encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean} True if encrypted
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a secret with the current master key
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} Encrypted value for storage
+ */
+function encryptSecret(plaintext) {
+    const current = getCurrentKey();
+    if (!current) {
+        throw new Error('CREDENTIALS_KEY is not set');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}${current.id}:${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypts a stored secret
+ * Plaintext values (not yet migrated) are returned as-is.
+ * @param {string} value - Stored value
+ * @returns {string|null} Plaintext or null if no configured key can decrypt it
+ */
+function decryptSecret(value) {
+    if (!value) return null;
+    if (!isEncrypted(value)) return value;
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = getDecryptionKeys().find(k => k.id === keyId);
+
+    if (!key) {
+        console.error(`[${new Date().toISOString()}] No configured credentials key matches key ID ${keyId}`);
+        return null;
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, key.key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] Failed to decrypt credentials:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Gets a user's PAI credentials, decrypted in memory only
+ * @param {string} userId - User ID
+ * @returns {{email: string, password: string}|null} Credentials or null if unset/unreadable
+ */
+function getUserCredentials(userId) {
+    const email = getUserPreference(userId, 'paiEmail', null);
+    const password = decryptSecret(getUserPreference(userId, 'paiPassword', null));
+
+    if (!email || !password) return null;
+    return { email, password };
+}
+
+/**
+ * Saves a user's PAI credentials with the password encrypted
+ * @param {string} userId - User ID
+ * @param {string} email - PAI email
+ * @param {string} password - PAI password (plaintext)
+ */
+function setUserCredentials(userId, email, password) {
+    setUserPreference(userId, 'paiEmail', email);
+    setUserPreference(userId, 'paiPassword', encryptSecret(password));
+}
+
+/**
+ * Checks if a user has PAI credentials stored (without decrypting them)
+ * @param {string} userId - User ID
+ * @returns {boolean} True if an email and password are stored
+ */
+function hasUserCredentials(userId) {
+    return Boolean(getUserPreference(userId, 'paiEmail', null) &&
+        getUserPreference(userId, 'paiPassword', null));
+}
+
+/**
+ * Re-encrypts every stored password with the current key
+ * Plaintext passwords are encrypted; ones under a previous key are re-keyed.
+ * @param {boolean} onlyPlaintext - If true, leave already-encrypted values alone
+ * @returns {{updated: number, unreadable: Array<string>}} Count of rewritten entries and
+ *          users whose password no configured key can decrypt
+ */
+function reencryptAllPasswords(onlyPlaintext = false) {
+    const current = getCurrentKey();
+    if (!current) {
+        throw new Error('CREDENTIALS_KEY is not set');
+    }
+
+    const prefs = loadUserPreferences();
+    const result = { updated: 0, unreadable: [] };
+
+    for (const [userId, userPrefs] of Object.entries(prefs)) {
+        const stored = userPrefs.paiPassword;
+        if (!stored) continue;
+        if (onlyPlaintext && isEncrypted(stored)) continue;
+        if (isEncrypted(stored) && stored.startsWith(`${PREFIX}${current.id}:`)) continue;
+
+        const plaintext = decryptSecret(stored);
+        if (plaintext === null) {
+            result.unreadable.push(userId);
+            continue;
+        }
+
+        userPrefs.paiPassword = encryptSecret(plaintext);
+        result.updated++;
+    }
+
+    if (result.updated > 0) {
+        saveUserPreferences(prefs);
+    }
+
+    return result;
+}
+
+/**
+ * Startup migration: encrypts any plaintext passwords left from older versions
+ */
+function migratePlaintextPasswords() {
+    if (!isEncryptionConfigured()) {
+        console.warn(`[${new Date().toISOString()}] ⚠️ CREDENTIALS_KEY is not set - PAI passwords cannot be saved or migrated.`);
+        return;
+    }
+
+    const result = reencryptAllPasswords(true);
+    if (result.updated > 0) {
+        console.log(`[${new Date().toISOString()}] Encrypted ${result.updated} plaintext PAI password(s).`);
+    }
+}
+
+module.exports = {
+    isEncryptionConfigured,
+    isEncrypted,
+    encryptSecret,
+    decryptSecret,
+    getUserCredentials,
+    setUserCredentials,
+    hasUserCredentials,
+    reencryptAllPasswords,
+    migratePlaintextPasswords
+};
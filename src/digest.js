@@ -0,0 +1,124 @@
+const { getDefaultTimeZone, getZonedParts, zonedTimeToDate } = require('./timezone');
+
+/**
+ * Delivery modes and digest scheduling
+ *
+ * Per-user preferences:
+ *   deliveryMode: 'immediate' (default), 'daily' or 'weekly'
+ *   digestTime:   'HH:MM' in the user's time zone (`timeZone` preference)
+ *   digestDay:    0-6, Sunday first (weekly only)
+ *   lastDigestAt: ISO time of the last digest, so restarts never repeat or skip one
+ */
+
+const DELIVERY_MODES = ['immediate', 'daily', 'weekly'];
+const DEFAULT_DIGEST_TIME = '08:00';
+const DEFAULT_DIGEST_DAY = 1; // Monday
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// English and Indonesian day names and abbreviations
+const DAY_ALIASES = {
+    sun: 0, sunday: 0, min: 0, minggu: 0,
+    mon: 1, monday: 1, sen: 1, senin: 1,
+    tue: 2, tuesday: 2, sel: 2, selasa: 2,
+    wed: 3, wednesday: 3, rab: 3, rabu: 3,
+    thu: 4, thursday: 4, kam: 4, kamis: 4,
+    fri: 5, friday: 5, jum: 5, jumat: 5,
+    sat: 6, saturday: 6, sab: 6, sabtu: 6
+};
+
+/**
+ * Parses a time of day such as "8:00", "08:30" or "17"
+ * @param {string} text - Time text
+ * @returns {string|null} Time as HH:MM or null if invalid
+ */
+function parseTimeOfDay(text) {
+    const match = String(text || '').trim().match(/^(\d{1,2})(?:[:.](\d{2}))?$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = match[2] ? parseInt(match[2]) : 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a day name (English or Indonesian)
+ * @param {string} text - Day text
+ * @returns {number|null} Day 0-6 (Sunday first) or null if unknown
+ */
+function parseDigestDay(text) {
+    const day = DAY_ALIASES[String(text || '').trim().toLowerCase().replace(/'/g, '')];
+    return day === undefined ? null : day;
+}
+
+/**
+ * Gets a user's delivery settings with defaults filled in
+ * @param {Object} prefs - The user's preferences
+ * @returns {{mode: string, time: string, day: number, timeZone: string, lastDigestAt: string|null}}
+ */
+function getDeliverySettings(prefs) {
+    return {
+        mode: DELIVERY_MODES.includes(prefs.deliveryMode) ? prefs.deliveryMode : 'immediate',
+        time: prefs.digestTime || DEFAULT_DIGEST_TIME,
+        day: Number.isInteger(prefs.digestDay) ? prefs.digestDay : DEFAULT_DIGEST_DAY,
+        timeZone: prefs.timeZone || getDefaultTimeZone(),
+        lastDigestAt: prefs.lastDigestAt || null
+    };
+}
+
+/**
+ * Gets the most recent scheduled digest time at or before `now`
+ * @param {Object} settings - From getDeliverySettings
+ * @param {Date} now - Current time
+ * @returns {Date|null} Scheduled time, or null in immediate mode
+ */
+function getLastDigestSlot(settings, now = new Date()) {
+    if (settings.mode === 'immediate') return null;
+
+    const [hours, minutes] = settings.time.split(':').map(Number);
+    const local = getZonedParts(now, settings.timeZone);
+    const notYetToday = hours * 60 + minutes > local.hour * 60 + local.minute;
+
+    // Days back to the slot: today or yesterday, or the chosen weekday
+    let back = settings.mode === 'daily' ? 0 : (local.weekday - settings.day + 7) % 7;
+    if (back === 0 && notYetToday) back = settings.mode === 'daily' ? 1 : 7;
+
+    return zonedTimeToDate(local.year, local.month, local.day - back, hours, minutes, settings.timeZone);
+}
+
+/**
+ * Checks if a user's digest should be sent now
+ * @param {Object} settings - From getDeliverySettings
+ * @param {Date} now - Current time
+ * @returns {boolean} True if a scheduled time passed since the last digest
+ */
+function isDigestDue(settings, now = new Date()) {
+    const slot = getLastDigestSlot(settings, now);
+    if (!slot) return false;
+
+    return !settings.lastDigestAt || new Date(settings.lastDigestAt) < slot;
+}
+
+/**
+ * Describes a delivery mode for display
+ * @param {Object} settings - From getDeliverySettings
+ * @returns {string} E.g. "Daily digest at 08:00 (Asia/Jakarta)"
+ */
+function describeDeliveryMode(settings) {
+    if (settings.mode === 'daily') return `Daily digest at ${settings.time} (${settings.timeZone})`;
+    if (settings.mode === 'weekly') return `Weekly digest on ${DAY_NAMES[settings.day]} at ${settings.time} (${settings.timeZone})`;
+    return 'Immediate';
+}
+
+module.exports = {
+    DELIVERY_MODES,
+    DAY_NAMES,
+    parseTimeOfDay,
+    parseDigestDay,
+    getDeliverySettings,
+    getLastDigestSlot,
+    isDigestDue,
+    describeDeliveryMode
+};
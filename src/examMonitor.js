@@ -1,5 +1,6 @@
-const axios = require('axios');
+const httpClient = require('./httpClient');
 const cheerio = require('cheerio');
+const { checkScrapeHealth } = require('./scraperHealth');
 const { getDocument } = require('pdfjs-dist/legacy/build/pdf.mjs');
 
 const BASE_URL = 'https://www.aktuaris.or.id';
@@ -22,7 +23,7 @@ async function login(email, password) {
     console.log(`[${new Date().toISOString()}] Logging in to PAI website...`);
 
     try {
-        const response = await axios.post(LOGIN_URL,
+        const response = await httpClient.post(LOGIN_URL,
             new URLSearchParams({
                 email: email,
                 password: password
@@ -131,7 +132,7 @@ async function fetchExamPage(cookie) {
     console.log(`[${new Date().toISOString()}] Fetching exam page...`);
 
     try {
-        const response = await axios.get(EXAM_URL, {
+        const response = await httpClient.get(EXAM_URL, {
             headers: {
                 'User-Agent': USER_AGENT,
                 'Cookie': `ci_session=${cookie}`,
@@ -241,10 +242,119 @@ async function fetchExamListForUser(userId, email, password) {
             return null;
         }
 
-        return parseExamTable(retryHtml);
+        return parseCheckedExamTable(retryHtml);
     }
 
-    return parseExamTable(html);
+    return parseCheckedExamTable(html);
+}
+
+/**
+ * Parses the exam table and feeds the result to the scraper health checks
+ * @param {string} html - HTML content of the exam page
+ * @returns {Promise<Array>} Array of exam objects
+ */
+async function parseCheckedExamTable(html) {
+    const exams = parseExamTable(html);
+    await checkScrapeHealth('exams', html, exams);
+    return exams;
+}
+
+/**
+ * Builds a stable key for an exam row (the same code can be retaken in another period)
+ * @param {Object} exam - Exam row from parseExamTable
+ * @returns {string} Row key
+ */
+function getExamRowKey(exam) {
+    return `${exam.kode}|${exam.periode}`;
+}
+
+/**
+ * Builds the exam result cache key for one user's exam row
+ * Results are personal, so the key includes the user as well as the row.
+ * @param {string} userId - User ID
+ * @param {Object} exam - Exam row from parseExamTable
+ * @returns {string} Cache key
+ */
+function getExamResultCacheKey(userId, exam) {
+    return `${userId}|${getExamRowKey(exam)}`;
+}
+
+/**
+ * Compares two exam tables and lists what changed
+ * @param {Array} previous - Exam rows from the last snapshot
+ * @param {Array} current - Freshly parsed exam rows
+ * @returns {Array<{type: string, exam: Object, previousStatus?: string}>} Changes:
+ *          'added' (new row), 'status' (status text changed), 'result' (hasilUjian link appeared)
+ */
+function diffExamTables(previous, current) {
+    const previousByKey = new Map(previous.map(exam => [getExamRowKey(exam), exam]));
+    const changes = [];
+
+    for (const exam of current) {
+        const before = previousByKey.get(getExamRowKey(exam));
+
+        if (!before) {
+            changes.push({ type: 'added', exam });
+            continue;
+        }
+
+        if (before.status !== exam.status) {
+            changes.push({ type: 'status', exam, previousStatus: before.status });
+        }
+
+        const hadLink = before.hasilUjian && before.hasilUjian.link;
+        const hasLink = exam.hasilUjian && exam.hasilUjian.link;
+        if (hasLink && !hadLink) {
+            changes.push({ type: 'result', exam });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Compares two registration states
+ * Periods are matched by their option value (or text when the value is missing).
+ * @param {{isOpen: boolean, periods: Array}} previous - Earlier state
+ * @param {{isOpen: boolean, periods: Array}} current - New state
+ * @returns {{opened: boolean, closed: boolean, added: Array, removed: Array, changed: boolean}}
+ */
+function diffRegistrationState(previous, current) {
+    const periodKey = (period) => period.value || period.text;
+    const previousKeys = new Set(previous.periods.map(periodKey));
+    const currentKeys = new Set(current.periods.map(periodKey));
+
+    const diff = {
+        opened: current.isOpen && !previous.isOpen,
+        closed: !current.isOpen && previous.isOpen,
+        added: current.periods.filter(period => !previousKeys.has(periodKey(period))),
+        removed: previous.periods.filter(period => !currentKeys.has(periodKey(period)))
+    };
+    diff.changed = diff.opened || diff.closed || diff.added.length > 0 || diff.removed.length > 0;
+
+    return diff;
+}
+
+/**
+ * Finds registration periods whose option text mentions a watched subject/period code
+ * @param {Array} periods - Period options ({value, text})
+ * @param {Array<string>} watchlist - Codes such as "A50" or "F30"
+ * @returns {Array<{period: Object, code: string}>} Matching periods with the code that matched
+ */
+function findWatchedPeriods(periods, watchlist) {
+    const matches = [];
+
+    for (const period of periods) {
+        const code = watchlist.find(c => {
+            const escaped = c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^A-Za-z0-9])${escaped}([^A-Za-z0-9]|$)`, 'i').test(period.text);
+        });
+        if (code) {
+            matches.push({ period, code });
+        }
+    }
+
+    return matches;
 }
 
 /**
@@ -301,6 +411,11 @@ module.exports = {
     fetchExamPage,
     parseExamTable,
     fetchExamListForUser,
+    getExamRowKey,
+    getExamResultCacheKey,
+    diffExamTables,
+    diffRegistrationState,
+    findWatchedPeriods,
     fetchExamResultPdf,
     checkRegistrationOpen,
     testExamFetch
@@ -315,7 +430,7 @@ async function checkRegistrationOpen(cookie) {
     console.log(`[${new Date().toISOString()}] Checking registration page...`);
 
     try {
-        const response = await axios.get(REGISTRATION_URL, {
+        const response = await httpClient.get(REGISTRATION_URL, {
             headers: {
                 'User-Agent': USER_AGENT,
                 'Cookie': `ci_session=${cookie}`,
@@ -385,7 +500,7 @@ async function fetchExamResultPdf(pdfUrl, cookie) {
     console.log(`[${new Date().toISOString()}] Fetching PDF result from ${fullUrl}`);
 
     try {
-        const response = await axios.get(fullUrl, {
+        const response = await httpClient.get(fullUrl, {
             headers: {
                 'User-Agent': USER_AGENT,
                 'Cookie': `ci_session=${cookie}`,
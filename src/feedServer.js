@@ -0,0 +1,237 @@
+const http = require('http');
+const crypto = require('crypto');
+const { getArchivedArticles } = require('./storage');
+
+const SITE_URL = 'https://www.aktuaris.or.id';
+const NEWS_URL = `${SITE_URL}/page/news_nextpage/`;
+const FEED_TITLE = 'PAI News (Persatuan Aktuaris Indonesia)';
+const FEED_DESCRIPTION = 'News and announcements from aktuaris.or.id';
+
+let server = null;
+
+/**
+ * Escapes text for XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Gets the best known publication time of an article
+ * Archived articles only carry a publication *date*, so it is pinned to midnight UTC.
+ * @param {Object} article - Archived article
+ * @returns {Date} Publication time
+ */
+function getArticleDate(article) {
+    if (article.publishedAt) return new Date(`${article.publishedAt}T00:00:00Z`);
+    if (article.fetchedAt) return new Date(article.fetchedAt);
+    return new Date(0);
+}
+
+/**
+ * Shortens the body to a summary
+ * @param {string} body - Article body
+ * @param {number} length - Maximum length
+ * @returns {string} Summary
+ */
+function summarize(body, length = 500) {
+    const text = (body || '').replace(/\s+/g, ' ').trim();
+    return text.length > length ? `${text.slice(0, length).trim()}…` : text;
+}
+
+/**
+ * Builds an RSS 2.0 feed
+ * @param {Array} articles - Archived articles, newest first
+ * @param {string} selfUrl - Public URL of this feed
+ * @returns {string} XML
+ */
+function buildRssFeed(articles, selfUrl) {
+    const items = articles.map(article => `    <item>
+      <title>${escapeXml(article.title)}</title>
+      <link>${escapeXml(article.url)}</link>
+      <guid isPermaLink="false">pai-news-${escapeXml(article.id)}</guid>
+      <pubDate>${getArticleDate(article).toUTCString()}</pubDate>
+      <description>${escapeXml(summarize(article.body))}</description>
+    </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${NEWS_URL}</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <language>id</language>
+    <lastBuildDate>${getLastModified(articles).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Builds an Atom feed
+ * @param {Array} articles - Archived articles, newest first
+ * @param {string} selfUrl - Public URL of this feed
+ * @returns {string} XML
+ */
+function buildAtomFeed(articles, selfUrl) {
+    const entries = articles.map(article => {
+        const updated = getArticleDate(article).toISOString();
+        return `  <entry>
+    <title>${escapeXml(article.title)}</title>
+    <link href="${escapeXml(article.url)}"/>
+    <id>tag:aktuaris.or.id,2024:news-${escapeXml(article.id)}</id>
+    <published>${updated}</published>
+    <updated>${updated}</updated>
+    <summary>${escapeXml(summarize(article.body))}</summary>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <link href="${NEWS_URL}"/>
+  <link href="${escapeXml(selfUrl)}" rel="self" type="application/atom+xml"/>
+  <id>tag:aktuaris.or.id,2024:news</id>
+  <updated>${getLastModified(articles).toISOString()}</updated>
+  <author><name>Persatuan Aktuaris Indonesia</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Gets the time the archive last changed, used for Last-Modified
+ * @param {Array} articles - Archived articles
+ * @returns {Date} Last modification (second precision, as HTTP dates have)
+ */
+function getLastModified(articles) {
+    const latest = articles.reduce((max, article) => {
+        const time = Date.parse(article.fetchedAt) || getArticleDate(article).getTime();
+        return Math.max(max, time);
+    }, 0);
+    return new Date(Math.floor(latest / 1000) * 1000);
+}
+
+/**
+ * Handles a feed request with conditional GET support (ETag / Last-Modified)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} options - {baseUrl, limit}
+ */
+function handleRequest(req, res, options) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    const formats = {
+        '/feed.rss': { build: buildRssFeed, type: 'application/rss+xml; charset=utf-8' },
+        '/rss': { build: buildRssFeed, type: 'application/rss+xml; charset=utf-8' },
+        '/feed.atom': { build: buildAtomFeed, type: 'application/atom+xml; charset=utf-8' },
+        '/atom': { build: buildAtomFeed, type: 'application/atom+xml; charset=utf-8' }
+    };
+    const format = formats[pathname];
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    if (!format) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found. Feeds: /feed.rss, /feed.atom\n');
+        return;
+    }
+
+    const articles = getArchivedArticles().slice(0, options.limit);
+    const body = format.build(articles, `${options.baseUrl}${pathname}`);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    const lastModified = getLastModified(articles);
+
+    const headers = {
+        'Content-Type': format.type,
+        'ETag': etag,
+        'Last-Modified': lastModified.toUTCString(),
+        'Cache-Control': 'public, max-age=300'
+    };
+
+    // If-None-Match takes precedence over If-Modified-Since (RFC 9110)
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = req.headers['if-modified-since'];
+    const notModified = ifNoneMatch
+        ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+        : Boolean(ifModifiedSince) && Date.parse(ifModifiedSince) >= lastModified.getTime();
+
+    if (notModified) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Starts the feed server if FEED_SERVER_ENABLED is set
+ * Config: FEED_PORT (default 8080), FEED_BASE_URL (public URL for self links),
+ * FEED_ITEM_LIMIT (default 50)
+ * @returns {http.Server|null} The server, or null when disabled
+ */
+function startFeedServer() {
+    if (!/^(1|true|yes)$/i.test(process.env.FEED_SERVER_ENABLED || '')) {
+        return null;
+    }
+
+    const port = parseInt(process.env.FEED_PORT) || 8080;
+    const options = {
+        baseUrl: (process.env.FEED_BASE_URL || `http://localhost:${port}`).replace(/\/$/, ''),
+        limit: parseInt(process.env.FEED_ITEM_LIMIT) || 50
+    };
+
+    server = http.createServer((req, res) => {
+        try {
+            handleRequest(req, res, options);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Feed server error:`, error.message);
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Internal error\n');
+        }
+    });
+
+    // A busy port or similar shouldn't take the bot down with it
+    server.on('error', error => {
+        console.error(`[${new Date().toISOString()}] Feed server failed to start on port ${port}:`, error.message);
+        server = null;
+    });
+
+    server.listen(port, () => {
+        console.log(`📡 Feed server listening on port ${port} (${options.baseUrl}/feed.rss, ${options.baseUrl}/feed.atom)`);
+    });
+
+    return server;
+}
+
+/**
+ * Stops the feed server
+ * @returns {Promise<void>}
+ */
+function stopFeedServer() {
+    if (!server) return Promise.resolve();
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+module.exports = {
+    buildRssFeed,
+    buildAtomFeed,
+    startFeedServer,
+    stopFeedServer
+};
@@ -0,0 +1,202 @@
+const axios = require('axios');
+
+/**
+ * Shared HTTP client for the PAI website
+ *
+ * Every request is retried on network errors, timeouts, 429 and 5xx responses,
+ * with exponential backoff and full jitter. Requests that still fail count
+ * towards a per-host circuit breaker: after HTTP_CIRCUIT_THRESHOLD failures in
+ * a row the circuit opens and requests fail immediately (error.code
+ * 'CIRCUIT_OPEN') for HTTP_CIRCUIT_COOLDOWN_MINUTES. After that one trial
+ * request is let through; if it succeeds the circuit closes, otherwise it
+ * opens again with twice the cooldown (up to MAX_COOLDOWN_MS).
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_BACKOFF_MS = 15000;
+const MAX_COOLDOWN_MS = 60 * 60 * 1000;
+
+const RETRIES = parseInt(process.env.HTTP_RETRIES) >= 0 ? parseInt(process.env.HTTP_RETRIES) : 2;
+const RETRY_BASE_MS = parseInt(process.env.HTTP_RETRY_BASE_MS) || 1000;
+const CIRCUIT_THRESHOLD = parseInt(process.env.HTTP_CIRCUIT_THRESHOLD) || 5;
+const CIRCUIT_COOLDOWN_MS = (parseInt(process.env.HTTP_CIRCUIT_COOLDOWN_MINUTES) || 5) * 60 * 1000;
+
+const PAI_HOST = 'www.aktuaris.or.id';
+
+// Circuit state per host: { failures, openedAt, cooldownMs, trialInFlight }
+const circuits = new Map();
+
+/**
+ * Gets (or creates) the circuit of a host
+ * @param {string} host - Hostname
+ * @returns {Object} Circuit state
+ */
+function getCircuit(host) {
+    if (!circuits.has(host)) {
+        circuits.set(host, { failures: 0, openedAt: null, cooldownMs: CIRCUIT_COOLDOWN_MS, trialInFlight: false });
+    }
+    return circuits.get(host);
+}
+
+/**
+ * Checks if requests to a host are currently blocked
+ * A circuit whose cooldown has passed counts as closed, so the next request is the trial.
+ * @param {string} host - Hostname (defaults to the PAI website)
+ * @returns {boolean} True while the circuit is open
+ */
+function isCircuitOpen(host = PAI_HOST) {
+    const circuit = getCircuit(host);
+    if (circuit.openedAt === null) return false;
+    return Date.now() < circuit.openedAt + circuit.cooldownMs || circuit.trialInFlight;
+}
+
+/**
+ * Describes a host's circuit for status output
+ * @param {string} host - Hostname (defaults to the PAI website)
+ * @returns {{state: string, failures: number, retryAt: Date|null}} 'closed', 'open' or 'half-open'
+ */
+function getCircuitState(host = PAI_HOST) {
+    const circuit = getCircuit(host);
+    if (circuit.openedAt === null) {
+        return { state: 'closed', failures: circuit.failures, retryAt: null };
+    }
+
+    const retryAt = new Date(circuit.openedAt + circuit.cooldownMs);
+    return { state: isCircuitOpen(host) ? 'open' : 'half-open', failures: circuit.failures, retryAt };
+}
+
+/**
+ * Checks if a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx
+ */
+function isRetryable(error) {
+    if (!error.response) return true;
+    return error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * Computes the wait before a retry: exponential backoff with full jitter,
+ * but never less than a Retry-After header asks for
+ * @param {number} attempt - Retry number (0 for the first retry)
+ * @param {Error} error - The failure
+ * @returns {number} Milliseconds
+ */
+function getBackoffMs(attempt, error) {
+    const ceiling = Math.min(MAX_BACKOFF_MS, RETRY_BASE_MS * 2 ** attempt);
+    const jittered = Math.random() * ceiling;
+
+    const retryAfter = error.response && parseInt(error.response.headers['retry-after']);
+    return retryAfter > 0 ? Math.max(jittered, Math.min(retryAfter * 1000, MAX_BACKOFF_MS)) : jittered;
+}
+
+/**
+ * Records the outcome of a request in the host's circuit
+ * @param {string} host - Hostname
+ * @param {boolean} ok - Whether the site answered
+ */
+function recordOutcome(host, ok) {
+    const circuit = getCircuit(host);
+    const wasOpen = circuit.openedAt !== null;
+    circuit.trialInFlight = false;
+
+    if (ok) {
+        if (wasOpen) {
+            console.log(`[${new Date().toISOString()}] ${host} is reachable again - circuit closed`);
+        }
+        circuits.set(host, { failures: 0, openedAt: null, cooldownMs: CIRCUIT_COOLDOWN_MS, trialInFlight: false });
+        return;
+    }
+
+    circuit.failures++;
+    if (wasOpen) {
+        // The trial request failed - back off for longer
+        circuit.cooldownMs = Math.min(circuit.cooldownMs * 2, MAX_COOLDOWN_MS);
+        circuit.openedAt = Date.now();
+    } else if (circuit.failures >= CIRCUIT_THRESHOLD) {
+        circuit.openedAt = Date.now();
+    } else {
+        return;
+    }
+
+    const minutes = Math.round(circuit.cooldownMs / 60000);
+    console.warn(`[${new Date().toISOString()}] ${host} failed ${circuit.failures} time(s) in a row - circuit open, pausing requests for ${minutes} minute(s)`);
+}
+
+/**
+ * Sends a request with retries and the circuit breaker
+ * Takes the same config as axios.request; `retries` overrides HTTP_RETRIES.
+ * Responses the caller's validateStatus rejects with a 4xx are returned as
+ * errors straight away - the site is up, it just said no.
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ * @throws {Error} The last failure, or an error with code 'CIRCUIT_OPEN'
+ */
+async function request(config) {
+    const host = new URL(config.url).hostname;
+    const circuit = getCircuit(host);
+
+    if (isCircuitOpen(host)) {
+        const error = new Error(`${host} is unreachable - requests paused until ${getCircuitState(host).retryAt.toISOString()}`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+    }
+    if (circuit.openedAt !== null) {
+        circuit.trialInFlight = true;
+    }
+
+    const retries = config.retries !== undefined ? config.retries : RETRIES;
+    const axiosConfig = { ...config };
+    delete axiosConfig.retries;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.request({ timeout: DEFAULT_TIMEOUT_MS, ...axiosConfig });
+            recordOutcome(host, true);
+            return response;
+        } catch (error) {
+            if (!isRetryable(error)) {
+                recordOutcome(host, true);
+                throw error;
+            }
+            // A half-open circuit gets exactly one try
+            if (attempt >= retries || circuit.trialInFlight) {
+                recordOutcome(host, false);
+                throw error;
+            }
+
+            const wait = getBackoffMs(attempt, error);
+            console.warn(`[${new Date().toISOString()}] ${config.method || 'get'} ${config.url} failed (${error.message}), retrying in ${Math.round(wait)}ms...`);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+}
+
+/**
+ * Sends a GET request (see request)
+ * @param {string} url - URL
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function get(url, config = {}) {
+    return request({ ...config, method: 'get', url });
+}
+
+/**
+ * Sends a POST request (see request)
+ * @param {string} url - URL
+ * @param {any} data - Request body
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function post(url, data, config = {}) {
+    return request({ ...config, method: 'post', url, data });
+}
+
+module.exports = {
+    request,
+    get,
+    post,
+    isCircuitOpen,
+    getCircuitState
+};
@@ -1,151 +1,731 @@
 require('dotenv').config();
 
 const cron = require('node-cron');
-const { initBot, sendNewArticlesNotification, getBot } = require('./telegram');
-const { scrapeArticles } = require('./scraper');
-const { checkRegistrationOpen, getSession } = require('./examMonitor');
+const { initBot, stopBot } = require('./telegram');
+const { scrapeArticles, fetchArticleDetails, checkArticlePage } = require('./scraper');
+const {
+    checkRegistrationOpen,
+    getSession,
+    fetchExamListForUser,
+    fetchExamResultPdf,
+    getExamResultCacheKey,
+    diffExamTables,
+    diffRegistrationState,
+    findWatchedPeriods
+} = require('./examMonitor');
+const { filterArticlesForUser } = require('./subscriptions');
+const { classifyArticle, filterByTopics } = require('./classifier');
+const { getUserCredentials, migratePlaintextPasswords } = require('./credentials');
+const { startFeedServer, stopFeedServer } = require('./feedServer');
+const { notifyUser, notifyChat, flushQueuedAlerts, getUserTimeZone } = require('./notifier');
+const {
+    buildArticleAlert,
+    buildRegistrationAlert,
+    buildWatchlistAlert,
+    buildExamAlert,
+    buildDigestAlert,
+    buildArticleUpdateAlert
+} = require('./alerts');
+const { getDeliverySettings, isDigestDue } = require('./digest');
+const { isCheckDue } = require('./schedule');
+const { isCircuitOpen } = require('./httpClient');
+const { startBackfill, getBackfillProgress } = require('./backfill');
+const {
+    hashArticleContent,
+    summarizeEdit,
+    selectArticlesToRecheck,
+    findRemovedArticles,
+    selectRemovalChecks
+} = require('./articleChanges');
+const { startAdminServer, stopAdminServer } = require('./adminServer');
 const {
     loadSeenArticles,
     getNewArticles,
     markArticlesAsSeen,
     saveSeenArticles,
     getAllUsersWithReminders,
+    loadUserPreferences,
     getUserPreference,
-    setUserPreference
+    setUserPreference,
+    ensureDeliveryRecord,
+    registerNewArticles,
+    getUndeliveredArticles,
+    recordDeliveries,
+    archiveArticles,
+    getUnarchivedArticles,
+    getArchivedArticles,
+    getArchivedArticle,
+    flushStorage,
+    recordCheckRun,
+    getAllUsersWithPaiCredentials,
+    getAllUsersWithArticleUpdates,
+    getChatSubscriptions,
+    getChatSubscription,
+    setChatSubscription,
+    getExamSnapshot,
+    saveExamSnapshot,
+    getCachedExamResult,
+    cacheExamResult,
+    loadRegistrationState,
+    saveRegistrationState
 } = require('./storage');
 
-// Track last check time per user for interval-based scheduling
-const userLastCheck = new Map();
-// Track last known registration status to detect changes
-let lastRegistrationOpen = false;
+// Track when the exam status watcher last ran
+let lastExamWatch = 0;
+
+// True while a per-minute tick is running; a slow tick makes the next ones skip
+let tickInProgress = false;
+const EXAM_WATCH_INTERVAL_MINUTES = parseInt(process.env.EXAM_WATCH_INTERVAL_MINUTES) || 60;
+
+// How often subscribed group chats and channels get broadcasts
+const GROUP_CHECK_INTERVAL_MINUTES = parseInt(process.env.GROUP_CHECK_INTERVAL_MINUTES) ||
+    parseInt(process.env.CHECK_INTERVAL_MINUTES) || 30;
+
+/**
+ * Fetches detail pages for scraped articles that aren't archived yet and stores them
+ * @param {Array} articles - Articles from the news listing
+ */
+async function archiveMissingArticles(articles) {
+    const missing = getUnarchivedArticles(articles);
+    if (missing.length === 0) return;
+
+    console.log(`[${new Date().toISOString()}] Archiving ${missing.length} article(s)...`);
+    const detailed = await fetchArticleDetails(missing);
+    archiveArticles(detailed.map(article => ({
+        ...article,
+        topics: classifyArticle(article),
+        contentHash: hashArticleContent(article)
+    })));
+}
+
+/**
+ * Re-fetches recent articles to spot edits, and marks articles that vanished
+ * from the listing as removed once that is confirmed
+ * @param {Array} articles - Articles from the first listing page
+ * @returns {Promise<Array>} Changes {type: 'edited'|'removed', article, diff}
+ */
+async function detectArticleChanges(articles) {
+    const changes = [];
+    const now = new Date().toISOString();
+
+    const recheck = selectArticlesToRecheck(articles, getArchivedArticle);
+    const detailed = recheck.length > 0 ? await fetchArticleDetails(recheck) : [];
+
+    detailed.forEach(current => {
+        const previous = getArchivedArticle(current.id);
+        const contentHash = hashArticleContent(current);
+
+        // Records archived before hashing get their baseline from the archived text
+        if (contentHash === (previous.contentHash || hashArticleContent(previous))) {
+            archiveArticles([{ ...previous, contentHash, checkedAt: now }]);
+            return;
+        }
+
+        const updated = {
+            ...previous,
+            ...current,
+            topics: classifyArticle(current),
+            contentHash,
+            checkedAt: now,
+            editedAt: now
+        };
+        archiveArticles([updated]);
+        changes.push({ type: 'edited', article: updated, diff: summarizeEdit(previous, current) });
+        console.log(`[${new Date().toISOString()}] Article ${current.id} was edited`);
+    });
+
+    const listed = new Set(articles.map(article => article.id));
+    const archived = getArchivedArticles();
+    const missing = findRemovedArticles(articles, archived);
+    const missingIds = new Set(missing.map(article => article.id));
+
+    // A removal is only announced once the detail page is gone (404), or - when
+    // the page can't be checked - the article was also missing from the previous
+    // scrape. A page that still loads was only pushed out of range (e.g. by a
+    // pinned post); that is remembered so it isn't fetched again on every check.
+    for (const article of selectRemovalChecks(missing)) {
+        const page = await checkArticlePage(article);
+        if (page === 'live') {
+            const live = { ...article, liveCheckedAt: now };
+            delete live.missingSince;
+            archiveArticles([live]);
+            continue;
+        }
+        if (page === 'unknown' && !article.missingSince) {
+            archiveArticles([{ ...article, missingSince: now }]);
+            console.log(`[${new Date().toISOString()}] Article ${article.id} is missing from the listing, confirming on the next check`);
+            continue;
+        }
+
+        const removed = { ...article, removedAt: now };
+        delete removed.missingSince;
+        archiveArticles([removed]);
+        changes.push({ type: 'removed', article: removed, diff: null });
+        console.log(`[${new Date().toISOString()}] Article ${article.id} was removed from the listing`);
+    }
+
+    // A removed or missing article that shows up again was only hidden for a while
+    archived
+        .filter(article =>
+            (article.removedAt && listed.has(article.id)) ||
+            (article.missingSince && !missingIds.has(article.id)))
+        .forEach(article => {
+            const restored = { ...article };
+            delete restored.removedAt;
+            delete restored.missingSince;
+            archiveArticles([restored]);
+        });
+
+    return changes;
+}
+
+/**
+ * Sends update notices to the users who opted in with /updates
+ * Users only hear about articles that pass their filters and that they
+ * already received; pending ones go out in their updated form anyway.
+ * @param {Array} changes - From detectArticleChanges
+ * @returns {Promise<{notified: number, failures: Array}>} Users notified and per-user failures
+ */
+async function notifyArticleChanges(changes) {
+    let notified = 0;
+    const failures = [];
+
+    for (const user of getAllUsersWithArticleUpdates()) {
+        const { matched } = filterArticlesForUser(user.userId, changes.map(change => change.article));
+        const pending = new Set(getUndeliveredArticles(user.userId, matched).map(article => article.id));
+        const relevantIds = new Set(matched.map(article => article.id).filter(id => !pending.has(id)));
+        const relevant = changes.filter(change => relevantIds.has(change.article.id));
+        if (relevant.length === 0) continue;
+
+        try {
+            await notifyUser(user.userId, buildArticleUpdateAlert(relevant));
+            notified++;
+            console.log(`[${new Date().toISOString()}] Sent update notice to user ${user.userId} (${relevant.length} article(s))`);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Failed to send update notice to user ${user.userId}:`, error.message);
+            failures.push({ userId: user.userId, error: error.message });
+        }
+    }
+
+    return { notified, failures };
+}
+
+/**
+ * Starts the archive backfill in the background when it was interrupted, or
+ * when the archive is empty (e.g. deployments that predate the archive)
+ */
+function resumeBackfill() {
+    const progress = getBackfillProgress();
+    if (progress && progress.running) return;
+
+    if (progress && progress.status !== 'done') {
+        console.log(`[${new Date().toISOString()}] Resuming interrupted archive backfill...`);
+    } else if (getArchivedArticles().length === 0) {
+        console.log(`[${new Date().toISOString()}] Article archive is empty - backfilling from all pages...`);
+    } else {
+        return;
+    }
+
+    startBackfill();
+}
+
+/**
+ * Checks if a user gets articles and registration changes as a digest
+ * @param {string} userId - Telegram user ID
+ * @returns {boolean} True if reminders are on with daily or weekly delivery
+ */
+function isDigestUser(userId) {
+    return getUserPreference(userId, 'reminderEnabled', false) &&
+        getUserPreference(userId, 'deliveryMode', 'immediate') !== 'immediate';
+}
 
 /**
- * Main check function - scrapes website and notifies if new articles found
- * @param {boolean} isFirstRun - If true, scrape all pages for initial population
- * @param {string|null} userId - If provided, notify this specific user
+ * Main check function - scrapes website and delivers articles users haven't received
+ * @param {boolean} isFirstRun - If true and nothing has been seen yet, only record the current articles
+ * @param {Array<string>|null} userIds - If provided, only deliver to these users
  */
-async function checkForUpdates(isFirstRun = false, userId = null) {
+async function checkForUpdates(isFirstRun = false, userIds = null) {
     console.log(`\n[${new Date().toISOString()}] Running ${isFirstRun ? 'INITIAL FULL' : 'scheduled'} check...`);
 
+    const startedAt = new Date().toISOString();
+    const failures = [];
+
     try {
         // Load previously seen article IDs
         const seenIds = loadSeenArticles();
 
-        // On first run with empty database, scrape ALL pages
-        const shouldScrapeAll = isFirstRun && seenIds.size === 0;
+        // On first run with empty database, nothing is announced
+        const isInitialPopulation = isFirstRun && seenIds.size === 0;
 
         // Fetch current articles from website
-        const articles = await scrapeArticles(shouldScrapeAll);
+        const articles = await scrapeArticles();
 
         // Find articles we haven't seen before
         const newArticles = getNewArticles(articles, seenIds);
 
+        if (isInitialPopulation) {
+            // New articles only ever appear on the first page, so that is all we need
+            // to mark as seen; older pages are archived by the background backfill
+            console.log(`[${new Date().toISOString()}] Initial population - saving current articles to database...`);
+            markArticlesAsSeen(newArticles, seenIds);
+            console.log(`[${new Date().toISOString()}] Saved ${newArticles.length} articles. Future checks will notify for new ones.`);
+            await archiveMissingArticles(articles);
+            startBackfill();
+            recordCheckRun({ type: 'articles', startedAt, ok: true, summary: `Initial check: ${newArticles.length} article(s), backfill started` });
+            return;
+        }
+
+        // Users with reminders enabled, optionally narrowed to the ones that are due
+        const recipients = getAllUsersWithReminders()
+            .filter(user => !userIds || userIds.includes(user.userId));
+
+        // Subscribed group chats and channels, narrowed the same way
+        const chats = getChatSubscriptions()
+            .filter(chat => !userIds || userIds.includes(chat.chatId));
+
+        // Baselines must exist before registering, so recipients get this batch
+        recipients.forEach(user => ensureDeliveryRecord(user.userId));
+        chats.forEach(chat => ensureDeliveryRecord(chat.chatId));
+
         if (newArticles.length > 0) {
             console.log(`[${new Date().toISOString()}] Found ${newArticles.length} new article(s)!`);
+            registerNewArticles(newArticles);
+            markArticlesAsSeen(newArticles, seenIds);
+            console.log(`[${new Date().toISOString()}] Articles marked as seen.`);
+        } else {
+            console.log(`[${new Date().toISOString()}] No new articles found.`);
+        }
 
-            if (shouldScrapeAll) {
-                // On initial population, just save to database without notification
-                console.log(`[${new Date().toISOString()}] Initial population - saving all articles to database...`);
-                markArticlesAsSeen(newArticles, seenIds);
-                console.log(`[${new Date().toISOString()}] Saved ${newArticles.length} articles. Future checks will notify for new ones.`);
-            } else {
-                // Notify users who have reminders enabled
-                const usersWithReminders = getAllUsersWithReminders();
-
-                if (usersWithReminders.length > 0) {
-                    console.log(`[${new Date().toISOString()}] Notifying ${usersWithReminders.length} user(s)...`);
-
-                    for (const user of usersWithReminders) {
-                        try {
-                            await sendNewArticlesNotification(user.userId, newArticles);
-                            console.log(`[${new Date().toISOString()}] Notified user ${user.userId}`);
-                        } catch (error) {
-                            console.error(`[${new Date().toISOString()}] Failed to notify user ${user.userId}:`, error.message);
-                        }
-                    }
-                }
+        await archiveMissingArticles(articles);
+
+        let notified = 0;
+        for (const user of recipients) {
+            // Digest users get their articles from sendDigests
+            if (isDigestUser(user.userId)) continue;
+
+            // Use the archived copy where available so keyword filters can see the body
+            const pending = getUndeliveredArticles(user.userId, articles)
+                .map(article => getArchivedArticle(article.id) || article);
+            if (pending.length === 0) continue;
 
-                // Mark articles as seen
-                markArticlesAsSeen(newArticles, seenIds);
-                console.log(`[${new Date().toISOString()}] Articles marked as seen.`);
+            const { matched, skipped } = filterArticlesForUser(user.userId, pending);
+
+            // Filtered-out articles count as handled so they aren't re-evaluated later
+            if (skipped.length > 0) {
+                recordDeliveries(user.userId, skipped, 'filtered');
+            }
+            if (matched.length === 0) continue;
+
+            try {
+                await notifyUser(user.userId, buildArticleAlert(matched));
+                recordDeliveries(user.userId, matched, 'scheduled');
+                notified++;
+                console.log(`[${new Date().toISOString()}] Notified user ${user.userId} (${matched.length} article(s))`);
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] Failed to notify user ${user.userId}:`, error.message);
+                failures.push({ userId: user.userId, error: error.message });
             }
-        } else {
-            console.log(`[${new Date().toISOString()}] No new articles found.`);
         }
+
+        // Broadcasts to chats only apply the chat's topic filter
+        for (const chat of chats) {
+            const pending = getUndeliveredArticles(chat.chatId, articles)
+                .map(article => getArchivedArticle(article.id) || article);
+            if (pending.length === 0) continue;
+
+            const { matched, filtered } = filterByTopics(pending, chat.topics);
+            if (filtered.length > 0) {
+                recordDeliveries(chat.chatId, filtered, 'filtered');
+            }
+            if (matched.length === 0) continue;
+
+            try {
+                await notifyChat(chat.chatId, buildArticleAlert(matched));
+                recordDeliveries(chat.chatId, matched, 'broadcast');
+                notified++;
+                console.log(`[${new Date().toISOString()}] Broadcast to chat ${chat.chatId} (${matched.length} article(s))`);
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] Failed to broadcast to chat ${chat.chatId}:`, error.message);
+                failures.push({ userId: chat.chatId, error: error.message });
+            }
+        }
+
+        const changes = await detectArticleChanges(articles);
+        if (changes.length > 0) {
+            const updates = await notifyArticleChanges(changes);
+            failures.push(...updates.failures);
+        }
+
+        recordCheckRun({
+            type: 'articles',
+            startedAt,
+            ok: true,
+            summary: `${newArticles.length} new article(s), ${notified} user(s) notified` +
+                (changes.length > 0 ? `, ${changes.length} article(s) edited or removed` : ''),
+            failures
+        });
     } catch (error) {
         console.error(`[${new Date().toISOString()}] Error during check:`, error.message);
+        recordCheckRun({ type: 'articles', startedAt, ok: false, error: error.message, failures });
+    }
+}
+
+/**
+ * Fetches the current registration state using the first user whose login works
+ * @returns {Promise<{isOpen: boolean, periods: Array}|null>} State or null if no check succeeded
+ */
+async function fetchRegistrationState() {
+    for (const user of getAllUsersWithPaiCredentials()) {
+        const credentials = getUserCredentials(user.userId);
+        if (!credentials) continue;
+
+        try {
+            const cookie = await getSession(user.userId, credentials.email, credentials.password);
+            if (!cookie) continue;
+
+            const result = await checkRegistrationOpen(cookie);
+
+            // A failed fetch says nothing about registration - try the next user
+            if (result.error) continue;
+
+            return { isOpen: result.isOpen, periods: result.periods };
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Error checking registration:`, error.message);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Works out what to tell a user about registration since the state they last saw
+ * Users with a subject watchlist get an alert for every open period matching
+ * it that they haven't been told about yet - including periods that were
+ * already open when the code was added to the watchlist.
+ * @param {string} userId - Telegram user ID
+ * @param {Object} previous - State the user was last told about
+ * @param {Object} current - Current registration state
+ * @returns {{changed: boolean, alert: Object|null, watchNotified: Array<string>}} Whether anything
+ *   changed, the alert to send, and the watched periods the user knows about once it is sent
+ */
+function buildUserRegistrationAlert(userId, previous, current) {
+    const diff = diffRegistrationState(previous, current);
+
+    const watchlist = getUserPreference(userId, 'watchSubjects', []);
+    if (watchlist.length === 0) {
+        return {
+            changed: diff.changed,
+            alert: diff.changed ? buildRegistrationAlert(diff, current) : null,
+            watchNotified: []
+        };
     }
+
+    const periodKey = (match) => match.period.value || match.period.text;
+    const notified = new Set(previous.watchNotified || []);
+    const watched = findWatchedPeriods(current.periods, watchlist);
+    const matches = watched.filter(match => !notified.has(periodKey(match)));
+
+    // Only periods still listed are kept, so a period that comes back is announced again
+    const watchNotified = watched.map(periodKey);
+
+    return {
+        changed: diff.changed || matches.length > 0 || watchNotified.length !== notified.size,
+        alert: matches.length > 0 ? buildWatchlistAlert(matches) : null,
+        watchNotified
+    };
 }
 
 /**
- * Checks registration status for all users with PAI credentials
- * Notifies if registration becomes available
+ * Checks registration status and tells every user with reminders what changed
+ * since the last state *they* were told about. The state is persisted, so a
+ * restart neither re-alerts nor misses a transition, and a failed send is retried.
+ * Users with a subject watchlist are only alerted when a matching period appears.
  */
 async function checkRegistrationForUsers() {
-    const usersWithReminders = getAllUsersWithReminders();
+    if (getAllUsersWithPaiCredentials().length === 0) return;
 
-    for (const user of usersWithReminders) {
-        const email = getUserPreference(user.userId, 'paiEmail', null);
-        const password = getUserPreference(user.userId, 'paiPassword', null);
+    const startedAt = new Date().toISOString();
+    const failures = [];
 
-        if (!email || !password) continue; // Skip users without PAI credentials
+    const current = await fetchRegistrationState();
+    if (!current) {
+        // Nobody could log in - keep the last known state
+        recordCheckRun({ type: 'registration', startedAt, ok: false, error: 'No saved PAI login worked' });
+        return;
+    }
+
+    const state = loadRegistrationState();
+    state.current = { ...current, checkedAt: new Date().toISOString() };
+
+    // Reminder users plus anyone watching specific subjects
+    const userIds = new Set(getAllUsersWithReminders().map(user => user.userId));
+    Object.entries(loadUserPreferences()).forEach(([userId, prefs]) => {
+        if (prefs.watchSubjects && prefs.watchSubjects.length > 0) userIds.add(userId);
+    });
+
+    for (const userId of userIds) {
+        // Digest users are told in their next digest
+        if (isDigestUser(userId)) continue;
+
+        // Users we never told anything start from "closed", so they learn about an open registration
+        const previous = state.users[userId] || { isOpen: false, periods: [] };
+        const { changed, alert, watchNotified } = buildUserRegistrationAlert(userId, previous, current);
+
+        if (!changed) continue;
+
+        if (!alert) {
+            // Nothing they care about - remember the state without alerting
+            state.users[userId] = { ...current, notifiedAt: null, watchNotified };
+            continue;
+        }
 
         try {
-            const cookie = await getSession(user.userId, email, password);
-            if (!cookie) continue;
+            await notifyUser(userId, alert);
 
-            const result = await checkRegistrationOpen(cookie);
+            state.users[userId] = { ...current, notifiedAt: new Date().toISOString(), watchNotified };
+            console.log(`[${new Date().toISOString()}] Notified user ${userId} about registration change`);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Failed to notify user ${userId} about registration:`, error.message);
+            failures.push({ userId, error: error.message });
+        }
+    }
+
+    // Chats only get the "registration is open" broadcast, unless their topics exclude it
+    for (const chat of getChatSubscriptions()) {
+        const previous = state.users[chat.chatId] || { isOpen: false, periods: [] };
+        const diff = diffRegistrationState(previous, current);
+
+        if (!diff.changed) continue;
+
+        const wanted = chat.topics.length === 0 || chat.topics.includes('registration');
+        if (!diff.opened || !wanted) {
+            state.users[chat.chatId] = { ...current, notifiedAt: null };
+            continue;
+        }
+
+        try {
+            await notifyChat(chat.chatId, buildRegistrationAlert(diff, current));
+            state.users[chat.chatId] = { ...current, notifiedAt: new Date().toISOString() };
+            console.log(`[${new Date().toISOString()}] Broadcast registration opening to chat ${chat.chatId}`);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Failed to broadcast registration to chat ${chat.chatId}:`, error.message);
+            failures.push({ userId: chat.chatId, error: error.message });
+        }
+    }
+
+    saveRegistrationState(state);
+    recordCheckRun({
+        type: 'registration',
+        startedAt,
+        ok: true,
+        summary: `Registration ${current.isOpen ? 'open' : 'closed'}, ${current.periods.length} period(s)`,
+        failures
+    });
+}
+
+/**
+ * Watches every credentialed user's exam table and pushes changes:
+ * new rows, status changes and newly published results (with score)
+ */
+async function checkExamStatusForUsers() {
+    const users = getAllUsersWithPaiCredentials()
+        .filter(user => getUserPreference(user.userId, 'examWatchEnabled', true));
+    if (users.length === 0) return;
+
+    const startedAt = new Date().toISOString();
+    const failures = [];
+    let changedUsers = 0;
+
+    for (const user of users) {
+        const credentials = getUserCredentials(user.userId);
+        if (!credentials) continue;
+
+        try {
+            const exams = await fetchExamListForUser(user.userId, credentials.email, credentials.password);
+            if (!exams) {
+                // Login or fetch failed - keep the old snapshot
+                failures.push({ userId: user.userId, error: 'Login or exam table fetch failed' });
+                continue;
+            }
 
-            // Notify user if registration just opened
-            if (result.isOpen && !lastRegistrationOpen) {
-                const bot = getBot();
-                if (bot) {
-                    let message = `🟢 *PAI Exam Registration is NOW OPEN!*\n\n`;
-                    message += `*Available Periods:*\n`;
-                    result.periods.forEach((p, i) => {
-                        message += `${i + 1}. ${p.text}\n`;
-                    });
-                    message += `\n👉 [Register Now](https://www.aktuaris.or.id/exam/registration)`;
-
-                    await bot.sendMessage(user.userId, message, {
-                        parse_mode: 'Markdown',
-                        disable_web_page_preview: true
-                    });
-                    console.log(`[${new Date().toISOString()}] Notified user ${user.userId} about registration opening`);
+            if (exams.length === 0) {
+                // A missing table (e.g. a login page) parses as no rows - don't
+                // let it wipe the snapshot and re-announce every row next time
+                continue;
+            }
+
+            const snapshot = getExamSnapshot(user.userId);
+
+            // First run only records a baseline
+            if (!snapshot) {
+                saveExamSnapshot(user.userId, exams);
+                continue;
+            }
+
+            const changes = diffExamTables(snapshot.exams, exams);
+            if (changes.length === 0) {
+                saveExamSnapshot(user.userId, exams);
+                continue;
+            }
+            changedUsers++;
+
+            // Parse newly published result PDFs for the score
+            const resultChanges = changes.filter(change => change.type === 'result');
+            if (resultChanges.length > 0) {
+                const cookie = await getSession(user.userId, credentials.email, credentials.password);
+                for (const change of resultChanges) {
+                    const cacheKey = getExamResultCacheKey(user.userId, change.exam);
+                    change.result = getCachedExamResult(cacheKey);
+                    if (change.result || !cookie) continue;
+
+                    change.result = await fetchExamResultPdf(change.exam.hasilUjian.link, cookie);
+                    if (change.result) {
+                        cacheExamResult(cacheKey, change.result);
+                    }
                 }
             }
 
-            lastRegistrationOpen = result.isOpen;
-            break; // Only need to check once per cycle
+            await notifyUser(user.userId, buildExamAlert(changes));
 
+            // Only now - if the send failed, the same changes come up next check
+            saveExamSnapshot(user.userId, exams);
+            console.log(`[${new Date().toISOString()}] Notified user ${user.userId} about ${changes.length} exam change(s)`);
         } catch (error) {
-            console.error(`[${new Date().toISOString()}] Error checking registration:`, error.message);
+            console.error(`[${new Date().toISOString()}] Error watching exams for user ${user.userId}:`, error.message);
+            failures.push({ userId: user.userId, error: error.message });
         }
     }
+
+    recordCheckRun({
+        type: 'exams',
+        startedAt,
+        ok: failures.length < users.length,
+        summary: `${users.length} user(s) checked, ${changedUsers} with changes`,
+        failures
+    });
 }
 
 /**
- * Checks if it's time to run a check based on per-user intervals
+ * Sends daily/weekly digests to users whose scheduled time has passed
+ * A digest holds the articles detected since the user's last delivery (from the
+ * archive, after their filters) and the registration changes since the state
+ * they last saw. A digest that fails to send is carried over to the next one.
  */
-async function runPerUserChecks() {
-    const usersWithReminders = getAllUsersWithReminders();
+async function sendDigests() {
+    const now = new Date();
+    const prefs = loadUserPreferences();
+    const dueUsers = getAllUsersWithReminders()
+        .map(user => ({ userId: user.userId, settings: getDeliverySettings(prefs[user.userId] || {}) }))
+        .filter(user => isDigestDue(user.settings, now));
+    if (dueUsers.length === 0) return;
+
+    const startedAt = now.toISOString();
+    const failures = [];
+    let sent = 0;
+
+    const archive = getArchivedArticles();
+    const state = loadRegistrationState();
+
+    for (const { userId, settings } of dueUsers) {
+        // Marked before sending, so a digest can't go out twice; a failed one is
+        // carried over to the next digest anyway
+        setUserPreference(userId, 'lastDigestAt', now.toISOString());
+
+        const { matched, skipped } = filterArticlesForUser(userId, getUndeliveredArticles(userId, archive));
+        if (skipped.length > 0) {
+            recordDeliveries(userId, skipped, 'filtered');
+        }
+
+        // Registration is only known once a check has run
+        let registration = { changed: false, alert: null, watchNotified: [] };
+        if (state.current) {
+            const previous = state.users[userId] || { isOpen: false, periods: [] };
+            registration = buildUserRegistrationAlert(userId, previous, state.current);
+        }
+
+        if (matched.length > 0 || registration.alert) {
+            try {
+                await notifyUser(userId, buildDigestAlert(settings.mode, matched, registration.alert));
+                recordDeliveries(userId, matched, 'digest');
+                sent++;
+                console.log(`[${new Date().toISOString()}] Sent ${settings.mode} digest to user ${userId} (${matched.length} article(s))`);
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] Failed to send digest to user ${userId}:`, error.message);
+                failures.push({ userId, error: error.message });
+                registration.changed = false;
+            }
+        }
+
+        if (registration.changed) {
+            state.users[userId] = {
+                ...state.current,
+                notifiedAt: registration.alert ? new Date().toISOString() : null,
+                watchNotified: registration.watchNotified
+            };
+        }
+    }
+
+    saveRegistrationState(state);
+    recordCheckRun({
+        type: 'digest',
+        startedAt,
+        ok: failures.length < dueUsers.length,
+        summary: `${dueUsers.length} digest(s) due, ${sent} sent`,
+        failures
+    });
+}
+
+/**
+ * Runs the exam status watcher when its interval has elapsed
+ */
+async function runExamWatch() {
+    // Skipped while the PAI site is down; it runs as soon as the circuit closes
+    if (isCircuitOpen()) return;
+
     const now = Date.now();
+    if (now - lastExamWatch < EXAM_WATCH_INTERVAL_MINUTES * 60 * 1000) return;
+
+    lastExamWatch = now;
+    await checkExamStatusForUsers();
+}
+
+/**
+ * Checks if it's time to run a check based on per-user intervals or schedules
+ * Last-run times are persisted, so a restart keeps everyone's timing and a
+ * schedule missed while the bot was down runs once on startup. While the PAI
+ * site is down (circuit open) nothing is checked or marked as checked, so
+ * every due check runs once it is back.
+ */
+async function runPerUserChecks() {
+    if (isCircuitOpen()) return;
+
+    const now = new Date();
+    // Recorded on the minute, so cron tick jitter never pushes a check to the next tick
+    const checkedAt = new Date(now);
+    checkedAt.setSeconds(0, 0);
 
-    // Find the minimum interval to determine if we need to check
-    let needsCheck = false;
+    // Collect users whose interval has elapsed or whose schedule fired
+    const dueUserIds = [];
 
-    for (const user of usersWithReminders) {
-        const lastCheck = userLastCheck.get(user.userId) || 0;
-        const intervalMs = user.intervalMinutes * 60 * 1000;
+    for (const user of getAllUsersWithReminders()) {
+        if (isCheckDue(user, getUserTimeZone(user.userId), user.lastCheckAt, now)) {
+            dueUserIds.push(user.userId);
+            setUserPreference(user.userId, 'lastCheckAt', checkedAt.toISOString());
+        }
+    }
+
+    // Subscribed chats share one interval
+    for (const chat of getChatSubscriptions()) {
+        const interval = { intervalMinutes: GROUP_CHECK_INTERVAL_MINUTES, schedule: null };
 
-        if (now - lastCheck >= intervalMs) {
-            needsCheck = true;
-            userLastCheck.set(user.userId, now);
+        if (isCheckDue(interval, null, chat.lastCheckAt || null, now)) {
+            dueUserIds.push(chat.chatId);
+            setChatSubscription(chat.chatId, { lastCheckAt: checkedAt.toISOString() });
         }
     }
 
-    if (needsCheck) {
-        await checkForUpdates(false);
+    if (dueUserIds.length > 0) {
+        await checkForUpdates(false, dueUserIds);
         // Also check registration on the same schedule
         await checkRegistrationForUsers();
     }
@@ -211,30 +791,68 @@ async function main() {
         process.exit(1);
     }
 
-    // Initialize Telegram bot
-    initBot();
+    // Encrypt any PAI passwords still stored in plaintext
+    migratePlaintextPasswords();
+
+    // TELEGRAM_CHAT_ID is a deployment-wide broadcast chat
+    const configuredChatId = process.env.TELEGRAM_CHAT_ID;
+    if (configuredChatId && !getChatSubscription(configuredChatId)) {
+        ensureDeliveryRecord(configuredChatId);
+        setChatSubscription(configuredChatId, { title: 'TELEGRAM_CHAT_ID', type: 'configured', addedBy: null });
+        console.log(`📢 Broadcasting to TELEGRAM_CHAT_ID ${configuredChatId}`);
+    }
+
+    // Initialize Telegram bot (polling or webhook, see TELEGRAM_MODE)
+    await initBot();
 
     // Run initial check on startup (with isFirstRun=true to populate database if empty)
     console.log('\n📡 Running initial check...');
     await checkForUpdates(true);
+    resumeBackfill();
 
-    // Schedule per-user checks every minute (the function checks individual intervals)
+    // Optional RSS/Atom feeds served from the archive (FEED_SERVER_ENABLED)
+    startFeedServer();
+
+    // Optional local admin dashboard (ADMIN_DASHBOARD_PASSWORD)
+    startAdminServer();
+
+    // Schedule per-user checks every minute (the functions check individual intervals and digest times)
     cron.schedule('* * * * *', async () => {
-        await runPerUserChecks();
+        // Overlapping ticks would both see the same checks and digests as due
+        if (tickInProgress) return;
+
+        tickInProgress = true;
+        try {
+            await runPerUserChecks();
+            await sendDigests();
+            await flushQueuedAlerts();
+            await runExamWatch();
+        } finally {
+            tickInProgress = false;
+        }
     });
 
     console.log(`\n✅ Bot is running!`);
-    console.log(`🔄 Per-user reminders enabled (users set their own intervals with /reminder)`);
+    console.log(`🔄 Per-user reminders enabled (users set their own intervals or digests with /reminder)`);
+    console.log(`📋 Exam status watcher runs every ${EXAM_WATCH_INTERVAL_MINUTES} minutes`);
     console.log(`💬 Send /start to your bot to get started\n`);
 
-    // Graceful shutdown handling
-    process.on('SIGINT', () => {
+    // Graceful shutdown handling - let queued storage writes finish first
+    process.on('SIGINT', async () => {
         console.log('\n\nShutting down gracefully...');
+        await stopFeedServer();
+        await stopAdminServer();
+        await stopBot();
+        await flushStorage();
         process.exit(0);
     });
 
-    process.on('SIGTERM', () => {
+    process.on('SIGTERM', async () => {
         console.log('\n\nReceived SIGTERM. Shutting down...');
+        await stopFeedServer();
+        await stopAdminServer();
+        await stopBot();
+        await flushStorage();
         process.exit(0);
     });
 }
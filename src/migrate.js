@@ -0,0 +1,59 @@
+const { createBackend } = require('./backends');
+const { DOCUMENTS, COLLECTIONS } = require('./storage');
+
+/**
+ * One-shot migration of the data/*.json files into the SQLite backend
+ *
+ * Usage: npm run migrate-storage [-- --force]
+ * Refuses to touch a database that already holds data unless --force is given.
+ * The JSON files are left in place as a backup.
+ */
+function migrateJsonToSqlite(force = false) {
+    console.log('='.repeat(50));
+    console.log('PAI Notifier - JSON → SQLite migration');
+    console.log('='.repeat(50));
+
+    const source = createBackend('json');
+    const target = createBackend('sqlite');
+
+    try {
+        if (!target.isEmpty() && !force) {
+            console.error('\n❌ The SQLite database already contains data. Re-run with --force to overwrite.');
+            return false;
+        }
+
+        for (const name of DOCUMENTS) {
+            const data = source.readDocument(name);
+            if (data === undefined) {
+                console.log(`- ${name}: no file, skipped`);
+                continue;
+            }
+            target.writeDocument(name, data);
+            console.log(`✓ ${name}`);
+        }
+
+        for (const name of COLLECTIONS) {
+            const records = source.getAllRecords(name);
+            target.replaceAllRecords(name, records);
+            console.log(`✓ ${name} (${Object.keys(records).length} record(s))`);
+        }
+
+        console.log('\n✅ Migration complete. Set STORAGE_BACKEND=sqlite and restart the bot.');
+        return true;
+    } catch (error) {
+        console.error('\n❌ Migration failed:', error.message);
+        return false;
+    } finally {
+        target.close();
+    }
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    const ok = migrateJsonToSqlite(process.argv.includes('--force'));
+    process.exit(ok ? 0 : 1);
+}
+
+module.exports = {
+    migrateJsonToSqlite
+};
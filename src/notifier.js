@@ -0,0 +1,203 @@
+const { getUserPreference, setUserPreference, loadUserPreferences } = require('./storage');
+const { getChannel, getEnabledChannelTypes } = require('./channels');
+const { getDefaultTimeZone } = require('./timezone');
+const { isQuietTime } = require('./quietHours');
+
+// Alerts held per user during quiet hours; the oldest are dropped beyond this
+const MAX_QUEUED_ALERTS = 50;
+// Failed sends of a queued alert before it is given up
+const MAX_QUEUED_ATTEMPTS = 3;
+
+/**
+ * Gets a user's channel settings
+ * Stored as the `channels` preference: { telegram: boolean, email, discord, slack }
+ * where the non-Telegram values are the address / webhook URL. Telegram is on
+ * unless the user turned it off.
+ * @param {string} userId - Telegram user ID
+ * @returns {Object} Channel settings
+ */
+function getUserChannelSettings(userId) {
+    return { telegram: true, ...getUserPreference(userId, 'channels', {}) };
+}
+
+/**
+ * Gets the channels an alert for a user goes to, limited to the ones the deployment offers
+ * @param {string} userId - Telegram user ID
+ * @returns {Array<{type: string, target: string}>} Channel targets
+ */
+function getUserChannels(userId) {
+    const settings = getUserChannelSettings(userId);
+
+    return getEnabledChannelTypes()
+        .map(type => {
+            if (type === 'telegram') {
+                return settings.telegram ? { type, target: String(userId) } : null;
+            }
+            return settings[type] ? { type, target: settings[type] } : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Sets or clears one of a user's channels
+ * @param {string} userId - Telegram user ID
+ * @param {string} type - Channel type
+ * @param {string|boolean|null} value - Address/URL (true/false for Telegram), null to clear
+ * @returns {string|null} Error message, or null if saved
+ */
+function setUserChannel(userId, type, value) {
+    const channel = getChannel(type);
+    if (!channel) return `Unknown channel "${type}"`;
+    if (!getEnabledChannelTypes().includes(type)) return `${channel.label} is not enabled on this bot`;
+
+    if (type !== 'telegram' && value) {
+        const error = channel.validateTarget(value);
+        if (error) return error;
+    }
+
+    const settings = getUserChannelSettings(userId);
+    if (type === 'telegram') {
+        settings.telegram = Boolean(value);
+    } else if (value) {
+        settings[type] = value;
+    } else {
+        delete settings[type];
+    }
+
+    setUserPreference(userId, 'channels', settings);
+    return null;
+}
+
+/**
+ * Gets a user's time zone
+ * @param {string} userId - Telegram user ID
+ * @returns {string} IANA time zone
+ */
+function getUserTimeZone(userId) {
+    return getUserPreference(userId, 'timeZone', null) || getDefaultTimeZone();
+}
+
+/**
+ * Checks if a user is in their quiet hours right now
+ * @param {string} userId - Telegram user ID
+ * @param {Date} now - Current time
+ * @returns {boolean} True during quiet hours
+ */
+function isUserInQuietHours(userId, now = new Date()) {
+    return isQuietTime(getUserPreference(userId, 'quietHours', null), getUserTimeZone(userId), now);
+}
+
+/**
+ * Sends an alert to every channel a user has chosen, ignoring quiet hours
+ * @param {string} userId - Telegram user ID
+ * @param {Object} alert - Alert from alerts.js
+ * @returns {Promise<{delivered: Array<string>, failures: Array<{type: string, error: string}>}>}
+ * @throws {Error} If no channel delivered the alert
+ */
+async function deliverToChannels(userId, alert) {
+    const targets = getUserChannels(userId);
+    const result = { delivered: [], failures: [] };
+
+    if (targets.length === 0) {
+        throw new Error('No notification channel configured');
+    }
+
+    for (const { type, target } of targets) {
+        try {
+            await getChannel(type).send(target, alert);
+            result.delivered.push(type);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] ${type} delivery to user ${userId} failed:`, error.message);
+            result.failures.push({ type, error: error.message });
+        }
+    }
+
+    if (result.delivered.length === 0) {
+        throw new Error(result.failures.map(f => `${f.type}: ${f.error}`).join('; '));
+    }
+
+    return result;
+}
+
+/**
+ * Sends an alert to every channel a user has chosen
+ * Counts as delivered if at least one channel succeeded; failures on the
+ * others are logged. During the user's quiet hours the alert is queued for
+ * flushQueuedAlerts instead, unless it is urgent and the user lets urgent
+ * alerts through (`quietUrgent`, on by default).
+ * @param {string} userId - Telegram user ID
+ * @param {Object} alert - Alert from alerts.js
+ * @returns {Promise<{delivered: Array<string>, failures: Array<{type: string, error: string}>, queued: boolean}>}
+ * @throws {Error} If no channel delivered the alert
+ */
+async function notifyUser(userId, alert) {
+    const bypass = alert.urgent && getUserPreference(userId, 'quietUrgent', true);
+
+    if (!bypass && isUserInQuietHours(userId)) {
+        const queue = getUserPreference(userId, 'queuedAlerts', []);
+        queue.push({ alert, queuedAt: new Date().toISOString() });
+        setUserPreference(userId, 'queuedAlerts', queue.slice(-MAX_QUEUED_ALERTS));
+
+        console.log(`[${new Date().toISOString()}] Queued alert for user ${userId} until quiet hours end`);
+        return { delivered: [], failures: [], queued: true };
+    }
+
+    return { ...await deliverToChannels(userId, alert), queued: false };
+}
+
+/**
+ * Sends the alerts queued during quiet hours to users whose quiet hours are over
+ * Alerts go out in the order they were queued. If one can't be delivered, it and
+ * the ones after it stay queued for the next run; after MAX_QUEUED_ATTEMPTS
+ * failures it is dropped.
+ * @returns {Promise<number>} Number of alerts sent
+ */
+async function flushQueuedAlerts() {
+    const now = new Date();
+    let sent = 0;
+
+    for (const [userId, prefs] of Object.entries(loadUserPreferences())) {
+        if (!prefs.queuedAlerts || prefs.queuedAlerts.length === 0) continue;
+        if (isUserInQuietHours(userId, now)) continue;
+
+        const queue = [...prefs.queuedAlerts];
+        while (queue.length > 0) {
+            const entry = queue[0];
+            try {
+                await deliverToChannels(userId, entry.alert);
+                sent++;
+            } catch (error) {
+                entry.attempts = (entry.attempts || 0) + 1;
+                console.error(`[${new Date().toISOString()}] Failed to send queued alert to user ${userId} (attempt ${entry.attempts}):`, error.message);
+                if (entry.attempts < MAX_QUEUED_ATTEMPTS) break;
+            }
+            queue.shift();
+        }
+
+        setUserPreference(userId, 'queuedAlerts', queue);
+    }
+
+    return sent;
+}
+
+/**
+ * Sends an alert to a subscribed group chat or channel (always over Telegram)
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} alert - Alert from alerts.js
+ * @returns {Promise<void>}
+ */
+async function notifyChat(chatId, alert) {
+    await getChannel('telegram').send(chatId, alert);
+}
+
+module.exports = {
+    getUserChannelSettings,
+    getUserChannels,
+    setUserChannel,
+    getUserTimeZone,
+    isUserInQuietHours,
+    deliverToChannels,
+    notifyUser,
+    flushQueuedAlerts,
+    notifyChat
+};
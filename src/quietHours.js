@@ -0,0 +1,74 @@
+const { getZonedParts, zonedTimeToDate } = require('./timezone');
+const { parseTimeOfDay } = require('./digest');
+
+/**
+ * Quiet hours are stored as the `quietHours` preference: { start: 'HH:MM', end: 'HH:MM' }
+ * in the user's time zone. A range whose end is before its start runs past midnight.
+ */
+
+/**
+ * Converts HH:MM to minutes after midnight
+ * @param {string} time - Time as HH:MM
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parses a quiet-hours range such as "22:00-07:00" or "22-7"
+ * @param {string} text - Range text
+ * @returns {{start: string, end: string}|null} Range, or null if invalid
+ */
+function parseQuietHours(text) {
+    const match = String(text || '').trim().match(/^(\S+?)\s*(?:-|to|–)\s*(\S+)$/);
+    if (!match) return null;
+
+    const start = parseTimeOfDay(match[1]);
+    const end = parseTimeOfDay(match[2]);
+    if (!start || !end || start === end) return null;
+
+    return { start, end };
+}
+
+/**
+ * Checks if a moment falls within quiet hours
+ * @param {{start: string, end: string}|null} quietHours - Range, or null when off
+ * @param {string} timeZone - User's time zone
+ * @param {Date} now - Moment
+ * @returns {boolean} True during quiet hours
+ */
+function isQuietTime(quietHours, timeZone, now = new Date()) {
+    if (!quietHours) return false;
+
+    const local = getZonedParts(now, timeZone);
+    const minutes = local.hour * 60 + local.minute;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Gets the moment the current quiet hours end
+ * @param {{start: string, end: string}} quietHours - Range
+ * @param {string} timeZone - User's time zone
+ * @param {Date} now - A moment within quiet hours
+ * @returns {Date} End of quiet hours
+ */
+function getQuietHoursEnd(quietHours, timeZone, now = new Date()) {
+    const local = getZonedParts(now, timeZone);
+    const [hours, minutes] = quietHours.end.split(':').map(Number);
+    const endsTomorrow = local.hour * 60 + local.minute >= toMinutes(quietHours.end);
+
+    return zonedTimeToDate(local.year, local.month, local.day + (endsTomorrow ? 1 : 0), hours, minutes, timeZone);
+}
+
+module.exports = {
+    parseQuietHours,
+    isQuietTime,
+    getQuietHoursEnd
+};
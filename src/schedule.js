@@ -0,0 +1,312 @@
+const { zonedTimeToDate, getZonedParts } = require('./timezone');
+const { parseTimeOfDay, parseDigestDay } = require('./digest');
+
+/**
+ * Per-user check schedules
+ *
+ * A schedule is stored as the `reminderSchedule` preference:
+ *   { text: what the user typed, expressions: ['0 8,17 * * 1-5', ...] }
+ * Each expression is a standard 5-field cron expression (minute hour day month
+ * weekday) evaluated in the user's time zone; the schedule fires when any of
+ * them matches. Phrases such as "weekdays 08:00,17:00" are converted to cron
+ * expressions when they are set.
+ */
+
+// Checks may not run more often than the shortest /reminder interval
+const MIN_SCHEDULE_GAP_MINUTES = 10;
+
+// How far ahead to look for the next run (covers "29 Feb" style expressions)
+const MAX_SEARCH_DAYS = 366 * 4;
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'weekday', min: 0, max: 7 }
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parses one value of a cron field, allowing month and weekday names
+ * @param {string} text - Value
+ * @param {Object} field - Field definition
+ * @returns {number} Value, or NaN if invalid
+ */
+function parseFieldValue(text, field) {
+    if (/^\d+$/.test(text)) return parseInt(text);
+
+    if (field.name === 'month') {
+        const index = MONTH_NAMES.indexOf(text.slice(0, 3));
+        return index === -1 ? NaN : index + 1;
+    }
+    if (field.name === 'weekday') {
+        const day = parseDigestDay(text);
+        return day === null ? NaN : day;
+    }
+    return NaN;
+}
+
+/**
+ * Parses one cron field into the set of values it allows
+ * Supports *, lists, ranges and steps (e.g. "*\/15", "1-5", "8,17", "mon-fri").
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>|null} Allowed values, or null if invalid
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.toLowerCase().split(',')) {
+        const match = part.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/);
+        if (!match) return null;
+
+        let from = field.min;
+        let to = field.max;
+        if (match[1] !== '*') {
+            from = parseFieldValue(match[1], field);
+            // A single value with a step runs to the end of the range, as in cron
+            to = match[2] ? parseFieldValue(match[2], field) : (match[3] ? field.max : from);
+        } else if (match[2]) {
+            return null;
+        }
+
+        const step = match[3] ? parseInt(match[3]) : 1;
+        if (isNaN(from) || isNaN(to) || from < field.min || to > field.max || from > to || step < 1) {
+            return null;
+        }
+
+        for (let value = from; value <= to; value += step) {
+            // Sunday is both 0 and 7
+            values.add(field.name === 'weekday' && value === 7 ? 0 : value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses a 5-field cron expression
+ * @param {string} expression - Cron expression
+ * @returns {Object|null} Parsed fields, or null if invalid
+ */
+function parseCronExpression(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) return null;
+
+    const fields = {};
+    for (let i = 0; i < FIELDS.length; i++) {
+        const values = parseField(parts[i], FIELDS[i]);
+        if (!values) return null;
+        fields[FIELDS[i].name] = values;
+    }
+
+    // With both day and weekday restricted, cron matches either of them
+    fields.dayRestricted = parts[2] !== '*';
+    fields.weekdayRestricted = parts[4] !== '*';
+    return fields;
+}
+
+/**
+ * Checks if a parsed expression allows a calendar day
+ * @param {Object} fields - Parsed expression
+ * @param {Date} wallClock - Local wall-clock time, stored in the UTC fields
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(fields, wallClock) {
+    if (!fields.month.has(wallClock.getUTCMonth() + 1)) return false;
+
+    const day = fields.day.has(wallClock.getUTCDate());
+    const weekday = fields.weekday.has(wallClock.getUTCDay());
+
+    if (fields.dayRestricted && fields.weekdayRestricted) return day || weekday;
+    return day && weekday;
+}
+
+/**
+ * Converts a phrase such as "weekdays 08:00,17:00", "mon,wed,fri 9:30" or
+ * "08:00" (every day) to cron expressions
+ * @param {string} text - Phrase
+ * @returns {{expressions: Array<string>|null, error: string|null}} Expressions or an error
+ */
+function parsePhrase(text) {
+    const tokens = text.toLowerCase().split(/\s+/);
+    const times = tokens.pop().split(',').map(parseTimeOfDay);
+    if (times.length === 0 || times.some(time => !time)) {
+        return { expressions: null, error: 'Times must be 24-hour HH:MM, separated by commas' };
+    }
+
+    const dayText = tokens.join(' ');
+    let weekdays;
+    if (['', 'everyday', 'every day'].includes(dayText)) {
+        weekdays = '*';
+    } else if (dayText === 'weekdays') {
+        weekdays = '1-5';
+    } else if (dayText === 'weekends') {
+        weekdays = '0,6';
+    } else {
+        const values = parseField(dayText.replace(/\s+/g, ''), FIELDS[4]);
+        if (!values) {
+            return { expressions: null, error: `Unknown days "${dayText}" - use weekdays, weekends or names like mon-fri` };
+        }
+        weekdays = Array.from(values).sort().join(',');
+    }
+
+    // One expression per distinct minute, so "08:00,17:30" stays exact
+    const hoursByMinute = new Map();
+    times.forEach(time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        if (!hoursByMinute.has(minutes)) hoursByMinute.set(minutes, new Set());
+        hoursByMinute.get(minutes).add(hours);
+    });
+
+    const expressions = Array.from(hoursByMinute, ([minutes, hours]) =>
+        `${minutes} ${Array.from(hours).sort((a, b) => a - b).join(',')} * * ${weekdays}`);
+    return { expressions, error: null };
+}
+
+/**
+ * Gets the next moment a schedule fires, strictly after `after`
+ * @param {{expressions: Array<string>}} schedule - Schedule
+ * @param {string} timeZone - User's time zone
+ * @param {Date} after - Start of the search
+ * @returns {Date|null} Next run, or null if it never fires
+ */
+function getNextRun(schedule, timeZone, after = new Date()) {
+    const local = getZonedParts(after, timeZone);
+    const start = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) + 60000;
+
+    let best = null;
+    for (const expression of schedule.expressions) {
+        const fields = parseCronExpression(expression);
+        if (!fields) continue;
+
+        // Walk the local wall clock, skipping whole days and hours that can't match
+        const wallClock = new Date(start);
+        const limit = start + MAX_SEARCH_DAYS * 86400000;
+        while (wallClock.getTime() < limit) {
+            if (!matchesDay(fields, wallClock)) {
+                wallClock.setUTCDate(wallClock.getUTCDate() + 1);
+                wallClock.setUTCHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!fields.hour.has(wallClock.getUTCHours())) {
+                wallClock.setUTCHours(wallClock.getUTCHours() + 1, 0, 0, 0);
+                continue;
+            }
+            if (!fields.minute.has(wallClock.getUTCMinutes())) {
+                wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            const run = zonedTimeToDate(wallClock.getUTCFullYear(), wallClock.getUTCMonth() + 1,
+                wallClock.getUTCDate(), wallClock.getUTCHours(), wallClock.getUTCMinutes(), timeZone);
+
+            // A wall-clock time skipped or repeated by a DST change can map back before `after`
+            if (run > after) {
+                if (!best || run < best) best = run;
+                break;
+            }
+            wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1, 0, 0);
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Parses a schedule given as cron expression(s) or a phrase
+ * Several cron expressions can be separated with ";".
+ * @param {string} text - Schedule text
+ * @param {string} timeZone - User's time zone (to check how often it fires)
+ * @returns {{schedule: Object|null, error: string|null}} Schedule or an error
+ */
+function parseSchedule(text, timeZone) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return { schedule: null, error: 'Schedule is empty' };
+
+    let expressions;
+    const parts = trimmed.split(';').map(part => part.trim()).filter(Boolean);
+    if (parts.every(part => part.split(/\s+/).length === FIELDS.length)) {
+        if (parts.some(part => !parseCronExpression(part))) {
+            return { schedule: null, error: 'Invalid cron expression (minute hour day month weekday)' };
+        }
+        expressions = parts;
+    } else {
+        const phrase = parsePhrase(trimmed);
+        if (phrase.error) return { schedule: null, error: phrase.error };
+        expressions = phrase.expressions;
+    }
+
+    const schedule = { text: trimmed, expressions };
+
+    // Look at the next runs to reject schedules that never fire or fire too often
+    let previous = getNextRun(schedule, timeZone);
+    if (!previous) return { schedule: null, error: 'This schedule never runs' };
+    for (let i = 0; i < 24; i++) {
+        const next = getNextRun(schedule, timeZone, previous);
+        if (!next) break;
+        if (next - previous < MIN_SCHEDULE_GAP_MINUTES * 60000) {
+            return { schedule: null, error: `Checks must be at least ${MIN_SCHEDULE_GAP_MINUTES} minutes apart` };
+        }
+        previous = next;
+    }
+
+    return { schedule, error: null };
+}
+
+/**
+ * Checks if a schedule has fired since the last run
+ * @param {Object} schedule - Schedule
+ * @param {string} timeZone - User's time zone
+ * @param {string|null} lastRunAt - ISO time of the last run (null if never)
+ * @param {Date} now - Current time
+ * @returns {boolean} True if a run is due (missed runs collapse into one)
+ */
+function isScheduleDue(schedule, timeZone, lastRunAt, now = new Date()) {
+    if (!lastRunAt) return true;
+
+    const next = getNextRun(schedule, timeZone, new Date(lastRunAt));
+    return Boolean(next) && next <= now;
+}
+
+/**
+ * Gets the next check time for a user's reminder settings
+ * @param {{intervalMinutes: number, schedule: Object|null}} reminder - From getAllUsersWithReminders
+ * @param {string} timeZone - User's time zone
+ * @param {string|null} lastRunAt - ISO time of the last check
+ * @param {Date} now - Current time
+ * @returns {Date|null} Next check (now if one is overdue)
+ */
+function getNextCheck(reminder, timeZone, lastRunAt, now = new Date()) {
+    if (reminder.schedule) {
+        if (isScheduleDue(reminder.schedule, timeZone, lastRunAt, now)) return now;
+        return getNextRun(reminder.schedule, timeZone, lastRunAt ? new Date(lastRunAt) : now);
+    }
+
+    if (!reminder.intervalMinutes) return null;
+    const next = lastRunAt ? new Date(new Date(lastRunAt).getTime() + reminder.intervalMinutes * 60000) : now;
+    return next < now ? now : next;
+}
+
+/**
+ * Checks if a user's check is due, by schedule or by interval
+ * @param {{intervalMinutes: number, schedule: Object|null}} reminder - From getAllUsersWithReminders
+ * @param {string} timeZone - User's time zone
+ * @param {string|null} lastRunAt - ISO time of the last check
+ * @param {Date} now - Current time
+ * @returns {boolean} True if due
+ */
+function isCheckDue(reminder, timeZone, lastRunAt, now = new Date()) {
+    const next = getNextCheck(reminder, timeZone, lastRunAt, now);
+    return Boolean(next) && next <= now;
+}
+
+module.exports = {
+    parseCronExpression,
+    parseSchedule,
+    getNextRun,
+    getNextCheck,
+    isCheckDue
+};
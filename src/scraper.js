@@ -1,28 +1,60 @@
-const axios = require('axios');
+const httpClient = require('./httpClient');
 const cheerio = require('cheerio');
+const { checkScrapeHealth } = require('./scraperHealth');
 
 const BASE_URL = 'https://www.aktuaris.or.id/page/news_nextpage/';
-const MAX_OFFSET = 260;  // Last page offset
-const PAGE_STEP = 5;     // Offset increment per page
+const PAGE_STEP = 5;     // Offset increment per page, unless the pager says otherwise
+
+const SITE_URL = 'https://www.aktuaris.or.id';
+
+const REQUEST_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5'
+};
+
+// Month names as they appear on the site (Indonesian) plus English fallbacks
+const MONTHS = {
+    januari: 1, january: 1, jan: 1,
+    februari: 2, february: 2, feb: 2,
+    maret: 3, march: 3, mar: 3,
+    april: 4, apr: 4,
+    mei: 5, may: 5,
+    juni: 6, june: 6, jun: 6,
+    juli: 7, july: 7, jul: 7,
+    agustus: 8, august: 8, agu: 8, aug: 8,
+    september: 9, sep: 9, sept: 9,
+    oktober: 10, october: 10, okt: 10, oct: 10,
+    november: 11, nov: 11,
+    desember: 12, december: 12, des: 12, dec: 12
+};
+
+const ATTACHMENT_PATTERN = /\.(pdf|docx?|xlsx?|pptx?|zip|rar)(\?|#|$)/i;
+
+/**
+ * Fetches the HTML content of a URL on the PAI website
+ * Retries and the circuit breaker are handled by httpClient.
+ * @param {string} url - Absolute URL
+ * @returns {Promise<string>} HTML content of the page
+ */
+async function fetchHtml(url) {
+    const response = await httpClient.get(url, {
+        headers: REQUEST_HEADERS,
+        timeout: 30000
+    });
+    return response.data;
+}
 
 /**
  * Fetches the HTML content from a specific page
- * @param {number} offset - Page offset (0, 5, 10, ..., 260)
+ * @param {number} offset - Page offset (0, 5, 10, ...)
  * @returns {Promise<string>} HTML content of the page
  */
 async function fetchNewsPage(offset = 0) {
     const url = offset === 0 ? BASE_URL : `${BASE_URL}${offset}`;
 
     try {
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5'
-            },
-            timeout: 30000
-        });
-        return response.data;
+        return await fetchHtml(url);
     } catch (error) {
         console.error(`Error fetching page offset ${offset}:`, error.message);
         throw error;
@@ -83,60 +115,226 @@ function parseArticles(html) {
 }
 
 /**
- * Main function to fetch and parse articles from ALL pages
- * @param {boolean} allPages - If true, fetch all pages; if false, fetch only first page
- * @returns {Promise<Array>} Array of article objects
+ * Reads the page offsets linked from a listing page's pager
+ * Pager links look like /page/news_nextpage/{offset}; the first page has no offset.
+ * @param {string} html - HTML content of a listing page
+ * @returns {Array<number>} Linked offsets, ascending and without duplicates
  */
-async function scrapeArticles(allPages = false) {
-    const allArticles = new Map(); // Use Map to deduplicate by ID
-
-    if (allPages) {
-        // Fetch ALL pages (for initial population)
-        const totalPages = Math.floor(MAX_OFFSET / PAGE_STEP) + 1; // 53 pages
-        console.log(`[${new Date().toISOString()}] Fetching ALL ${totalPages} pages...`);
-
-        for (let offset = 0; offset <= MAX_OFFSET; offset += PAGE_STEP) {
-            const pageNum = Math.floor(offset / PAGE_STEP) + 1;
-            console.log(`[${new Date().toISOString()}] Fetching page ${pageNum}/${totalPages} (offset: ${offset})...`);
-
-            try {
-                const html = await fetchNewsPage(offset);
-                const articles = parseArticles(html);
-
-                // Add to Map (deduplicates automatically)
-                articles.forEach(article => {
-                    if (!allArticles.has(article.id)) {
-                        allArticles.set(article.id, article);
-                    }
-                });
+function parsePagerOffsets(html) {
+    const $ = cheerio.load(html);
+    const offsets = new Set();
 
-                // Small delay to be nice to the server
-                if (offset < MAX_OFFSET) {
-                    await delay(500);
-                }
-            } catch (error) {
-                console.error(`[${new Date().toISOString()}] Failed to fetch page ${pageNum}, skipping...`);
-            }
+    $('a[href*="/page/news_nextpage"]').each((index, element) => {
+        const match = ($(element).attr('href') || '').match(/\/page\/news_nextpage\/?(\d*)/);
+        if (match) {
+            offsets.add(match[1] ? parseInt(match[1]) : 0);
         }
-    } else {
-        // Fetch only first page (for regular checks - new articles appear here)
-        console.log(`[${new Date().toISOString()}] Fetching first page...`);
-        const html = await fetchNewsPage(0);
-        const articles = parseArticles(html);
-        articles.forEach(article => allArticles.set(article.id, article));
+    });
+
+    return Array.from(offsets).sort((a, b) => a - b);
+}
+
+/**
+ * Fetches and parses the articles on the first listing page
+ * New articles appear there; older pages are crawled by the backfill (backfill.js).
+ * @returns {Promise<Array>} Array of article objects, newest first
+ */
+async function scrapeArticles() {
+    console.log(`[${new Date().toISOString()}] Fetching first page...`);
+    const html = await fetchNewsPage(0);
+    const articles = parseArticles(html);
+    await checkScrapeHealth('news', html, articles);
+
+    console.log(`[${new Date().toISOString()}] Found ${articles.length} total articles`);
+
+    return articles;
+}
+
+/**
+ * Converts a relative link on the PAI website to an absolute URL
+ * @param {string} href - Link as found in the HTML
+ * @returns {string} Absolute URL
+ */
+function toAbsoluteUrl(href) {
+    if (href.startsWith('http')) return href;
+    if (href.startsWith('//')) return `https:${href}`;
+    return `${SITE_URL}${href.startsWith('/') ? '' : '/'}${href}`;
+}
+
+/**
+ * Parses a publication date such as "12 Januari 2025", "12/01/2025" or "2025-01-12"
+ * @param {string} text - Text that may contain a date
+ * @returns {string|null} Date as YYYY-MM-DD or null if none found
+ */
+function parseDate(text) {
+    if (!text) return null;
+
+    const pad = (n) => String(n).padStart(2, '0');
+
+    const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (iso) return `${iso[1]}-${pad(iso[2])}-${pad(iso[3])}`;
+
+    const named = text.match(/\b(\d{1,2})\s+([A-Za-z]+)\.?,?\s+(\d{4})\b/);
+    if (named && MONTHS[named[2].toLowerCase()]) {
+        return `${named[3]}-${pad(MONTHS[named[2].toLowerCase()])}-${pad(named[1])}`;
     }
 
-    // Convert Map to Array and sort by ID (descending - newest first)
-    const result = Array.from(allArticles.values())
-        .sort((a, b) => parseInt(b.id) - parseInt(a.id));
+    const numeric = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/);
+    if (numeric) return `${numeric[3]}-${pad(numeric[2])}-${pad(numeric[1])}`;
 
-    console.log(`[${new Date().toISOString()}] Found ${result.length} total articles`);
+    return null;
+}
 
-    return result;
+/**
+ * Parses a news_detail page into full article metadata
+ *
+ * The detail pages have no stable markup contract, so we try the usual
+ * content containers first and fall back to the block with the most text.
+ *
+ * @param {string} html - HTML content of /page/news_detail/{ID}/{slug}
+ * @param {Object} article - Article as returned by parseArticles (id, title, url)
+ * @returns {Object} Article with publishedAt, body, images and attachments
+ */
+function parseArticleDetail(html, article) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript').remove();
+
+    const candidates = [
+        '.news-detail', '.news_detail', '.detail-news', '.post-content',
+        '.entry-content', '.article-content', 'article', '.content', 'main'
+    ];
+
+    let container = null;
+    for (const selector of candidates) {
+        const el = $(selector).first();
+        if (el.length && el.text().trim().length > 50) {
+            container = el;
+            break;
+        }
+    }
+
+    if (!container) {
+        // Fall back to the div with the most paragraph text
+        let best = null;
+        let bestLength = 0;
+        $('div').each((i, el) => {
+            const length = $(el).children('p').text().trim().length;
+            if (length > bestLength) {
+                best = $(el);
+                bestLength = length;
+            }
+        });
+        container = best || $('body');
+    }
+
+    // Keep paragraph breaks so the body stays readable
+    container.find('br').replaceWith('\n');
+    container.find('p, div, li, h1, h2, h3, h4, h5, tr').each((i, el) => {
+        $(el).append('\n');
+    });
+    const body = container.text()
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+
+    const images = [];
+    container.find('img').each((i, el) => {
+        const src = $(el).attr('src');
+        if (src && !images.includes(toAbsoluteUrl(src))) {
+            images.push(toAbsoluteUrl(src));
+        }
+    });
+
+    const attachments = [];
+    $('a[href]').each((i, el) => {
+        const href = $(el).attr('href');
+        if (!ATTACHMENT_PATTERN.test(href)) return;
+
+        const url = toAbsoluteUrl(href);
+        if (!attachments.some(a => a.url === url)) {
+            attachments.push({
+                text: $(el).text().trim() || url.split('/').pop(),
+                url: url
+            });
+        }
+    });
+
+    // Prefer an explicit date element, then any date in the page header area
+    const dateText = $('.date, .news-date, .post-date, time').first().text().trim() ||
+        $('time').attr('datetime') || '';
+    const publishedAt = parseDate(dateText) ||
+        parseDate(container.text().slice(0, 300)) ||
+        parseDate($('body').text());
+
+    const heading = $('h1, h2, h3').filter((i, el) => $(el).text().trim().length > 0).first().text().trim();
+
+    return {
+        id: article.id,
+        title: article.title || heading,
+        url: article.url,
+        publishedAt: publishedAt,
+        body: body,
+        images: images,
+        attachments: attachments,
+        fetchedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Fetches the detail pages of the given articles
+ * Articles whose detail page fails to load are skipped and retried on a later run.
+ * @param {Array} articles - Articles as returned by parseArticles
+ * @returns {Promise<Array>} Articles with full metadata
+ */
+async function fetchArticleDetails(articles) {
+    const detailed = [];
+
+    for (let i = 0; i < articles.length; i++) {
+        const article = articles[i];
+
+        try {
+            const html = await fetchHtml(article.url);
+            detailed.push(parseArticleDetail(html, article));
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Failed to fetch article ${article.id}:`, error.message);
+            // The rest would fail the same way; they are retried on a later run
+            if (error.code === 'CIRCUIT_OPEN') break;
+        }
+
+        // Small delay to be nice to the server
+        if (i < articles.length - 1) {
+            await delay(500);
+        }
+    }
+
+    console.log(`[${new Date().toISOString()}] Fetched details for ${detailed.length}/${articles.length} article(s)`);
+    return detailed;
+}
+
+/**
+ * Checks whether an article's detail page is still up
+ * @param {Object} article - Article with url
+ * @returns {Promise<string>} 'live' if the page loads, 'gone' on 404 or 410,
+ *   'unknown' if the request failed otherwise
+ */
+async function checkArticlePage(article) {
+    try {
+        await fetchHtml(article.url);
+        return 'live';
+    } catch (error) {
+        return error.response && [404, 410].includes(error.response.status) ? 'gone' : 'unknown';
+    }
 }
 
 module.exports = {
+    PAGE_STEP,
     fetchNewsPage,
     parseArticles,
-    scrapeArticles
+    parsePagerOffsets,
+    scrapeArticles,
+    parseDate,
+    parseArticleDetail,
+    fetchArticleDetails,
+    checkArticlePage
 };
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { DATA_DIR } = require('./backends');
+const { loadScraperHealth, saveScraperHealth } = require('./storage');
+const { buildScraperHealthAlert } = require('./alerts');
+
+/**
+ * Scraper health checks
+ *
+ * A site redesign doesn't make requests fail - the parsers just find nothing.
+ * Each scrape is compared with the recent history of its page:
+ *   - selector: an element the parser relies on is missing
+ *   - empty:    the parser found no items on a page that always has some
+ *   - drop:     far fewer items than the median of recent healthy scrapes
+ *   - stale:    the page content hasn't changed for unusually long
+ * An issue has to show up on CONFIRM_RUNS scrapes in a row before the admin
+ * is alerted (with the page HTML attached), and is alerted once until it
+ * clears, when a recovery notice follows.
+ */
+
+const PAGES = {
+    news: {
+        label: 'News list',
+        selectors: ['a[href*="/page/news_detail/"]'],
+        expectItems: true,
+        trackChanges: true
+    },
+    // Logged-in page of one user; an empty exam table is normal for new members
+    exams: {
+        label: 'Exam page',
+        selectors: ['table.table'],
+        expectItems: false,
+        trackChanges: false
+    }
+};
+
+// Healthy item counts kept per page, and how many are needed before comparing
+const HISTORY_SIZE = 10;
+const MIN_HISTORY = 3;
+
+// A scrape with less than this share of the usual item count is a drop
+const DROP_RATIO = 0.5;
+
+const CONFIRM_RUNS = 2;
+
+// A page counts as stale after this many days, or 3x its longest recent quiet spell
+const STALE_DAYS = parseInt(process.env.SCRAPER_STALE_DAYS) || 30;
+const MAX_CHANGE_GAPS = 10;
+
+// Used in recovery notices
+const ISSUE_LABELS = {
+    selector: 'missing elements',
+    empty: 'no items found',
+    drop: 'item count drop',
+    stale: 'unchanged page'
+};
+
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const MAX_SNAPSHOTS = 20;
+
+/**
+ * Gets the median of a list of numbers
+ * @param {Array<number>} values - Numbers (not empty)
+ * @returns {number} Median
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Fingerprints the parsed items so unchanged pages can be recognised
+ * @param {Array} items - Parsed items (id and title)
+ * @returns {string} Hash
+ */
+function fingerprintItems(items) {
+    const text = items.map(item => `${item.id}|${item.title}`).join('\n');
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Saves the HTML of a broken scrape, keeping only the newest MAX_SNAPSHOTS
+ * @param {string} page - Page key
+ * @param {string} html - Page HTML
+ * @returns {string|null} Snapshot path, or null if it couldn't be written
+ */
+function saveSnapshot(page, html) {
+    try {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        const file = path.join(SNAPSHOT_DIR, `${page}-${new Date().toISOString().replace(/[:.]/g, '-')}.html`);
+        fs.writeFileSync(file, html);
+
+        const snapshots = fs.readdirSync(SNAPSHOT_DIR)
+            .filter(name => name.endsWith('.html'))
+            .map(name => ({ name, mtimeMs: fs.statSync(path.join(SNAPSHOT_DIR, name)).mtimeMs }))
+            .sort((a, b) => b.mtimeMs - a.mtimeMs);
+        snapshots.slice(MAX_SNAPSHOTS).forEach(({ name }) => fs.unlinkSync(path.join(SNAPSHOT_DIR, name)));
+
+        return file;
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error saving ${page} snapshot:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Finds what looks wrong with a scrape, updating the page's history
+ * @param {Object} config - Page definition from PAGES
+ * @param {Object} record - Page history (updated in place)
+ * @param {string} html - Page HTML
+ * @param {Array} items - Items the parser found
+ * @param {Date} now - Current time
+ * @returns {Array<{type: string, text: string}>} Issues
+ */
+function findIssues(config, record, html, items, now) {
+    const issues = [];
+    const $ = cheerio.load(html);
+
+    config.selectors.forEach(selector => {
+        if ($(selector).length === 0) {
+            issues.push({ type: 'selector', text: `Expected element "${selector}" is missing` });
+        }
+    });
+
+    if (config.expectItems) {
+        if (items.length === 0) {
+            issues.push({ type: 'empty', text: 'The parser found no items' });
+        } else if (record.counts.length >= MIN_HISTORY && items.length < median(record.counts) * DROP_RATIO) {
+            issues.push({ type: 'drop', text: `Only ${items.length} item(s) found, usually about ${Math.round(median(record.counts))}` });
+        } else {
+            // Only healthy scrapes count as history, so a breakage can't become the new normal
+            record.counts = [...record.counts, items.length].slice(-HISTORY_SIZE);
+        }
+    }
+
+    if (config.trackChanges && items.length > 0) {
+        const fingerprint = fingerprintItems(items);
+        if (fingerprint !== record.fingerprint) {
+            if (record.lastChangedAt) {
+                const gap = now - new Date(record.lastChangedAt);
+                record.changeGaps = [...record.changeGaps, gap].slice(-MAX_CHANGE_GAPS);
+            }
+            record.fingerprint = fingerprint;
+            record.lastChangedAt = now.toISOString();
+        } else if (record.lastChangedAt) {
+            const limit = Math.max(STALE_DAYS * 86400000, 3 * Math.max(0, ...record.changeGaps));
+            const unchanged = now - new Date(record.lastChangedAt);
+            if (unchanged > limit) {
+                issues.push({ type: 'stale', text: `Unchanged for ${Math.floor(unchanged / 86400000)} day(s)` });
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Sends a health alert to the admin
+ * @param {Object} alert - Alert
+ * @param {string|null} snapshotPath - HTML snapshot to attach
+ */
+async function notifyAdmin(alert, snapshotPath) {
+    // Required lazily: telegram.js loads the scraper, which loads this module
+    const { sendAdminAlert } = require('./telegram');
+
+    try {
+        if (!await sendAdminAlert(alert, snapshotPath)) {
+            console.warn(`[${new Date().toISOString()}] No admin chat (ADMIN_CHAT_ID) - scraper health alert only logged`);
+        }
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error sending scraper health alert:`, error.message);
+    }
+}
+
+/**
+ * Checks a scrape against the page's recent history and alerts the admin
+ * when it looks broken (or has recovered)
+ * Never throws: a health check must not break the scrape it watches.
+ * @param {string} page - Page key ('news' or 'exams')
+ * @param {string} html - Page HTML
+ * @param {Array} items - Items the parser found
+ * @returns {Promise<Array<{type: string, text: string}>>} Issues found in this scrape
+ */
+async function checkScrapeHealth(page, html, items) {
+    const config = PAGES[page];
+    const now = new Date();
+
+    try {
+        const health = loadScraperHealth();
+        const record = {
+            counts: [],
+            changeGaps: [],
+            fingerprint: null,
+            lastChangedAt: null,
+            streaks: {},
+            alerted: [],
+            ...health.pages[page]
+        };
+
+        const issues = findIssues(config, record, String(html || ''), items, now);
+        const types = issues.map(issue => issue.type);
+        // An empty page is the worst kind of drop, so it doesn't count as a drop recovering
+        const active = types.includes('empty') ? [...types, 'drop'] : types;
+
+        const streaks = {};
+        types.forEach(type => { streaks[type] = (record.streaks[type] || 0) + 1; });
+        record.streaks = streaks;
+
+        const confirmed = issues.filter(issue =>
+            streaks[issue.type] >= CONFIRM_RUNS && !record.alerted.includes(issue.type));
+        const resolved = record.alerted.filter(type => !active.includes(type));
+        record.alerted = [...record.alerted.filter(type => active.includes(type)), ...confirmed.map(issue => issue.type)];
+        record.lastCheckedAt = now.toISOString();
+
+        health.pages[page] = record;
+        saveScraperHealth(health);
+
+        if (issues.length > 0) {
+            console.warn(`[${new Date().toISOString()}] ⚠️ ${config.label} scrape looks wrong: ${issues.map(issue => issue.text).join('; ')}`);
+        }
+
+        if (confirmed.length > 0) {
+            const snapshotPath = saveSnapshot(page, html);
+            await notifyAdmin(buildScraperHealthAlert(config.label, confirmed, false), snapshotPath);
+        }
+        if (resolved.length > 0) {
+            console.log(`[${new Date().toISOString()}] ${config.label} scrape recovered (${resolved.join(', ')})`);
+            const cleared = resolved.map(type => ({ type, text: `Cleared: ${ISSUE_LABELS[type] || type}` }));
+            await notifyAdmin(buildScraperHealthAlert(config.label, cleared, true), null);
+        }
+
+        return issues;
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error checking ${page} scrape health:`, error.message);
+        return [];
+    }
+}
+
+module.exports = {
+    checkScrapeHealth
+};
@@ -0,0 +1,168 @@
+/**
+ * Full-text search over the local article archive
+ *
+ * Query syntax:
+ *   ujian pendaftaran      - all terms must appear (title or body)
+ *   "kartu ujian"          - exact phrase
+ *   after:2025-01          - published on or after (YYYY, YYYY-MM or YYYY-MM-DD)
+ *   before:2025-06-30      - published before
+ */
+
+// Relevance weights for matches in the title vs. the body
+const TITLE_WEIGHT = 5;
+const BODY_WEIGHT = 1;
+const PHRASE_BONUS = 2;
+
+/**
+ * Lowercases and strips accents so matching is forgiving
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Expands a partial date (YYYY, YYYY-MM, YYYY-MM-DD) to the first day it covers
+ * @param {string} value - Partial date
+ * @returns {string|null} YYYY-MM-DD or null if invalid
+ */
+function expandDate(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+    if (!match) return null;
+
+    const month = String(match[2] || 1).padStart(2, '0');
+    const day = String(match[3] || 1).padStart(2, '0');
+    return `${match[1]}-${month}-${day}`;
+}
+
+/**
+ * Parses a search query into terms, phrases and a date range
+ * @param {string} query - Raw query text
+ * @returns {{terms: Array<string>, phrases: Array<string>, after: string|null, before: string|null, errors: Array<string>}}
+ */
+function parseQuery(query) {
+    const parsed = { terms: [], phrases: [], after: null, before: null, errors: [] };
+
+    // Pull out quoted phrases first
+    const rest = (query || '').replace(/"([^"]+)"/g, (m, phrase) => {
+        const p = normalize(phrase).trim();
+        if (p) parsed.phrases.push(p);
+        return ' ';
+    });
+
+    rest.split(/\s+/).filter(Boolean).forEach(token => {
+        const filter = token.match(/^(after|before):(.+)$/i);
+
+        if (filter) {
+            const date = expandDate(filter[2]);
+            if (date) {
+                parsed[filter[1].toLowerCase()] = date;
+            } else {
+                parsed.errors.push(`Invalid date "${filter[2]}" (use YYYY, YYYY-MM or YYYY-MM-DD)`);
+            }
+            return;
+        }
+
+        const term = normalize(token).replace(/^[^\w]+|[^\w]+$/g, '');
+        if (term) parsed.terms.push(term);
+    });
+
+    return parsed;
+}
+
+/**
+ * Counts non-overlapping occurrences of a needle in a haystack
+ * @param {string} haystack - Normalized text
+ * @param {string} needle - Normalized search string
+ * @returns {number} Number of occurrences
+ */
+function countOccurrences(haystack, needle) {
+    let count = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        count++;
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    return count;
+}
+
+/**
+ * Builds a short excerpt of the body around the first match
+ * @param {string} body - Article body
+ * @param {Array<string>} needles - Normalized terms and phrases
+ * @param {number} length - Maximum excerpt length
+ * @returns {string} Excerpt
+ */
+function buildSnippet(body, needles, length = 160) {
+    const text = (body || '').replace(/\s+/g, ' ').trim();
+    const lower = normalize(text);
+
+    let position = -1;
+    for (const needle of needles) {
+        const index = lower.indexOf(needle);
+        if (index !== -1 && (position === -1 || index < position)) {
+            position = index;
+        }
+    }
+
+    const start = Math.max(0, position - Math.floor(length / 3));
+    const snippet = text.slice(start, start + length).trim();
+    return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`;
+}
+
+/**
+ * Searches archived articles and ranks the hits
+ * Every term and phrase must match; hits are ordered by score, then newest first.
+ * @param {Array} articles - Archived article objects
+ * @param {Object} query - Parsed query from parseQuery
+ * @returns {Array<{article: Object, score: number, snippet: string}>} Ranked hits
+ */
+function searchArticles(articles, query) {
+    const needles = [...query.phrases, ...query.terms];
+    const hits = [];
+
+    for (const article of articles) {
+        if (query.after && (!article.publishedAt || article.publishedAt < query.after)) continue;
+        if (query.before && (!article.publishedAt || article.publishedAt >= query.before)) continue;
+
+        const title = normalize(article.title);
+        const body = normalize(article.body);
+        let score = 0;
+        let matchesAll = true;
+
+        for (const needle of needles) {
+            const inTitle = countOccurrences(title, needle);
+            const inBody = countOccurrences(body, needle);
+
+            if (inTitle + inBody === 0) {
+                matchesAll = false;
+                break;
+            }
+
+            const bonus = query.phrases.includes(needle) ? PHRASE_BONUS : 1;
+            // Diminishing returns for repeated body matches
+            score += bonus * (inTitle * TITLE_WEIGHT + Math.log2(1 + inBody) * BODY_WEIGHT);
+        }
+
+        if (!matchesAll) continue;
+
+        hits.push({
+            article: article,
+            score: score,
+            snippet: buildSnippet(article.body, needles)
+        });
+    }
+
+    return hits.sort((a, b) => b.score - a.score || parseInt(b.article.id) - parseInt(a.article.id));
+}
+
+module.exports = {
+    parseQuery,
+    searchArticles,
+    buildSnippet,
+    normalize
+};
@@ -1,12 +1,33 @@
 const fs = require('fs');
 const path = require('path');
-
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const SEEN_ARTICLES_FILE = path.join(DATA_DIR, 'seen_articles.json');
-const ALLOWED_USERS_FILE = path.join(DATA_DIR, 'allowed_users.json');
-const ACCESS_REQUESTS_FILE = path.join(DATA_DIR, 'access_requests.json');
-const USER_PREFS_FILE = path.join(DATA_DIR, 'user_preferences.json');
-const EXAM_RESULTS_FILE = path.join(DATA_DIR, 'exam_results.json');
+const { DATA_DIR, getBackend } = require('./backends');
+const { writeFileAtomicSync } = require('./backends/json');
+
+// Whole documents (read and written in one piece)
+const SEEN_ARTICLES = 'seen_articles';
+const ALLOWED_USERS = 'allowed_users';
+const ACCESS_REQUESTS = 'access_requests';
+const DELIVERY_LEDGER = 'delivery_ledger';
+const REGISTRATION_STATE = 'registration_state';
+const CHECK_RUNS = 'check_runs';
+const SCRAPER_HEALTH = 'scraper_health';
+const BACKFILL_JOB = 'backfill_job';
+
+// Keyed collections (looked up one record at a time)
+const USER_PREFS = 'user_preferences';
+const EXAM_RESULTS = 'exam_results';
+const ARTICLE_ARCHIVE = 'article_archive';
+const EXAM_SNAPSHOTS = 'exam_snapshots';
+const CHAT_SUBSCRIPTIONS = 'chat_subscriptions';
+
+const DOCUMENTS = [SEEN_ARTICLES, ALLOWED_USERS, ACCESS_REQUESTS, DELIVERY_LEDGER, REGISTRATION_STATE, CHECK_RUNS, SCRAPER_HEALTH, BACKFILL_JOB];
+const COLLECTIONS = [USER_PREFS, EXAM_RESULTS, ARTICLE_ARCHIVE, EXAM_SNAPSHOTS, CHAT_SUBSCRIPTIONS];
+
+// Number of check runs kept for the admin dashboard
+const MAX_CHECK_RUNS = 200;
+
+// Topic rules are admin-edited config, so they always stay a plain file
+const TOPIC_RULES_FILE = path.join(DATA_DIR, 'topic_rules.json');
 
 /**
  * Ensures the data directory exists
@@ -22,15 +43,8 @@ function ensureDataDir() {
  * @returns {Set<string>} Set of seen article IDs
  */
 function loadSeenArticles() {
-    ensureDataDir();
-
-    if (!fs.existsSync(SEEN_ARTICLES_FILE)) {
-        return new Set();
-    }
-
     try {
-        const data = fs.readFileSync(SEEN_ARTICLES_FILE, 'utf8');
-        const parsed = JSON.parse(data);
+        const parsed = getBackend().readDocument(SEEN_ARTICLES) || {};
         return new Set(parsed.articleIds || []);
     } catch (error) {
         console.error('Error loading seen articles:', error.message);
@@ -43,15 +57,13 @@ function loadSeenArticles() {
  * @param {Set<string>} articleIds - Set of article IDs to save
  */
 function saveSeenArticles(articleIds) {
-    ensureDataDir();
-
     const data = {
         articleIds: Array.from(articleIds),
         lastUpdated: new Date().toISOString()
     };
 
     try {
-        fs.writeFileSync(SEEN_ARTICLES_FILE, JSON.stringify(data, null, 2));
+        getBackend().writeDocument(SEEN_ARTICLES, data);
     } catch (error) {
         console.error('Error saving seen articles:', error.message);
     }
@@ -77,22 +89,131 @@ function markArticlesAsSeen(articles, seenIds) {
     saveSeenArticles(seenIds);
 }
 
-// ==================== ALLOWED USERS ====================
+// ==================== ARTICLE ARCHIVE ====================
 
 /**
- * Loads allowed user IDs from storage
- * @returns {Set<string>} Set of allowed user IDs
+ * Loads the article archive from storage
+ * @returns {Object} Object mapping article ID to full article metadata
  */
-function loadAllowedUsers() {
+function loadArticleArchive() {
+    try {
+        return getBackend().getAllRecords(ARTICLE_ARCHIVE);
+    } catch (error) {
+        console.error('Error loading article archive:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Saves the article archive to storage
+ * @param {Object} articles - Object mapping article ID to full article metadata
+ */
+function saveArticleArchive(articles) {
+    try {
+        getBackend().replaceAllRecords(ARTICLE_ARCHIVE, articles);
+    } catch (error) {
+        console.error('Error saving article archive:', error.message);
+    }
+}
+
+/**
+ * Adds or replaces articles in the archive
+ * @param {Array} articles - Array of article objects with full metadata
+ */
+function archiveArticles(articles) {
+    try {
+        articles.forEach(article => getBackend().setRecord(ARTICLE_ARCHIVE, article.id, article));
+    } catch (error) {
+        console.error('Error saving article archive:', error.message);
+    }
+}
+
+/**
+ * Finds articles that are not in the archive yet
+ * @param {Array} articles - Array of article objects
+ * @returns {Array} Articles missing from the archive
+ */
+function getUnarchivedArticles(articles) {
+    return articles.filter(article => !getArchivedArticle(article.id));
+}
+
+/**
+ * Gets a single archived article
+ * @param {string} articleId - Article ID
+ * @returns {Object|null} Archived article or null
+ */
+function getArchivedArticle(articleId) {
+    try {
+        return getBackend().getRecord(ARTICLE_ARCHIVE, String(articleId)) || null;
+    } catch (error) {
+        console.error('Error loading article archive:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Gets all archived articles, newest first
+ * @returns {Array} Array of archived article objects
+ */
+function getArchivedArticles() {
+    return Object.values(loadArticleArchive())
+        .sort((a, b) => parseInt(b.id) - parseInt(a.id));
+}
+
+// ==================== TOPIC RULES ====================
+
+/**
+ * Loads the admin-editable topic classification rules
+ * @returns {Object|null} Rules object, null if the file doesn't exist,
+ *                        or {topics: null, error} if it can't be parsed
+ */
+function loadTopicRules() {
     ensureDataDir();
 
-    if (!fs.existsSync(ALLOWED_USERS_FILE)) {
-        return new Set();
+    if (!fs.existsSync(TOPIC_RULES_FILE)) {
+        return null;
+    }
+
+    try {
+        const data = fs.readFileSync(TOPIC_RULES_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        console.error('Error loading topic rules:', error.message);
+        return { topics: null, error: error.message };
     }
+}
+
+/**
+ * Saves topic classification rules to storage
+ * @param {Object} rules - Rules object with a `topics` array
+ */
+function saveTopicRules(rules) {
+    ensureDataDir();
 
     try {
-        const data = fs.readFileSync(ALLOWED_USERS_FILE, 'utf8');
-        const parsed = JSON.parse(data);
+        writeFileAtomicSync(TOPIC_RULES_FILE, JSON.stringify(rules, null, 2));
+    } catch (error) {
+        console.error('Error saving topic rules:', error.message);
+    }
+}
+
+/**
+ * Gets the path of the topic rules file (shown to the admin for editing)
+ * @returns {string} Absolute file path
+ */
+function getTopicRulesPath() {
+    return TOPIC_RULES_FILE;
+}
+
+// ==================== ALLOWED USERS ====================
+
+/**
+ * Loads allowed user IDs from storage
+ * @returns {Set<string>} Set of allowed user IDs
+ */
+function loadAllowedUsers() {
+    try {
+        const parsed = getBackend().readDocument(ALLOWED_USERS) || {};
         return new Set(parsed.userIds || []);
     } catch (error) {
         console.error('Error loading allowed users:', error.message);
@@ -105,15 +226,13 @@ function loadAllowedUsers() {
  * @param {Set<string>} userIds - Set of allowed user IDs
  */
 function saveAllowedUsers(userIds) {
-    ensureDataDir();
-
     const data = {
         userIds: Array.from(userIds),
         lastUpdated: new Date().toISOString()
     };
 
     try {
-        fs.writeFileSync(ALLOWED_USERS_FILE, JSON.stringify(data, null, 2));
+        getBackend().writeDocument(ALLOWED_USERS, data);
     } catch (error) {
         console.error('Error saving allowed users:', error.message);
     }
@@ -156,15 +275,8 @@ function removeAllowedUser(userId) {
  * @returns {Array} Array of access request objects
  */
 function loadAccessRequests() {
-    ensureDataDir();
-
-    if (!fs.existsSync(ACCESS_REQUESTS_FILE)) {
-        return [];
-    }
-
     try {
-        const data = fs.readFileSync(ACCESS_REQUESTS_FILE, 'utf8');
-        const parsed = JSON.parse(data);
+        const parsed = getBackend().readDocument(ACCESS_REQUESTS) || {};
         return parsed.requests || [];
     } catch (error) {
         console.error('Error loading access requests:', error.message);
@@ -177,15 +289,13 @@ function loadAccessRequests() {
  * @param {Array} requests - Array of access request objects
  */
 function saveAccessRequests(requests) {
-    ensureDataDir();
-
     const data = {
         requests: requests,
         lastUpdated: new Date().toISOString()
     };
 
     try {
-        fs.writeFileSync(ACCESS_REQUESTS_FILE, JSON.stringify(data, null, 2));
+        getBackend().writeDocument(ACCESS_REQUESTS, data);
     } catch (error) {
         console.error('Error saving access requests:', error.message);
     }
@@ -244,15 +354,8 @@ function getAccessRequests() {
  * @returns {Object} Object mapping userId to preferences
  */
 function loadUserPreferences() {
-    ensureDataDir();
-
-    if (!fs.existsSync(USER_PREFS_FILE)) {
-        return {};
-    }
-
     try {
-        const data = fs.readFileSync(USER_PREFS_FILE, 'utf8');
-        return JSON.parse(data) || {};
+        return getBackend().getAllRecords(USER_PREFS);
     } catch (error) {
         console.error('Error loading user preferences:', error.message);
         return {};
@@ -264,15 +367,27 @@ function loadUserPreferences() {
  * @param {Object} prefs - Object mapping userId to preferences
  */
 function saveUserPreferences(prefs) {
-    ensureDataDir();
-
     try {
-        fs.writeFileSync(USER_PREFS_FILE, JSON.stringify(prefs, null, 2));
+        getBackend().replaceAllRecords(USER_PREFS, prefs);
     } catch (error) {
         console.error('Error saving user preferences:', error.message);
     }
 }
 
+/**
+ * Loads a single user's preferences
+ * @param {string} userId - User ID
+ * @returns {Object} The user's preferences (empty if none)
+ */
+function loadUserPreferencesFor(userId) {
+    try {
+        return getBackend().getRecord(USER_PREFS, String(userId)) || {};
+    } catch (error) {
+        console.error('Error loading user preferences:', error.message);
+        return {};
+    }
+}
+
 /**
  * Gets a user's preference value
  * @param {string} userId - User ID
@@ -281,8 +396,7 @@ function saveUserPreferences(prefs) {
  * @returns {any} The preference value
  */
 function getUserPreference(userId, key, defaultValue = null) {
-    const prefs = loadUserPreferences();
-    const userPrefs = prefs[String(userId)] || {};
+    const userPrefs = loadUserPreferencesFor(userId);
     return userPrefs[key] !== undefined ? userPrefs[key] : defaultValue;
 }
 
@@ -293,28 +407,33 @@ function getUserPreference(userId, key, defaultValue = null) {
  * @param {any} value - Value to set
  */
 function setUserPreference(userId, key, value) {
-    const prefs = loadUserPreferences();
-    if (!prefs[String(userId)]) {
-        prefs[String(userId)] = {};
+    const userPrefs = loadUserPreferencesFor(userId);
+    userPrefs[key] = value;
+    userPrefs.lastUpdated = new Date().toISOString();
+
+    try {
+        getBackend().setRecord(USER_PREFS, String(userId), userPrefs);
+    } catch (error) {
+        console.error('Error saving user preferences:', error.message);
     }
-    prefs[String(userId)][key] = value;
-    prefs[String(userId)].lastUpdated = new Date().toISOString();
-    saveUserPreferences(prefs);
 }
 
 /**
- * Gets all users who have reminder enabled with their intervals
- * @returns {Array} Array of {userId, intervalMinutes}
+ * Gets all users who have reminder enabled with their intervals or schedules
+ * @returns {Array} Array of {userId, intervalMinutes, schedule, lastCheckAt};
+ *                  a schedule, when set, takes precedence over the interval
  */
 function getAllUsersWithReminders() {
     const prefs = loadUserPreferences();
     const users = [];
 
     for (const [userId, userPrefs] of Object.entries(prefs)) {
-        if (userPrefs.reminderEnabled && userPrefs.reminderInterval) {
+        if (userPrefs.reminderEnabled && (userPrefs.reminderInterval || userPrefs.reminderSchedule)) {
             users.push({
                 userId: userId,
-                intervalMinutes: userPrefs.reminderInterval
+                intervalMinutes: userPrefs.reminderInterval || null,
+                schedule: userPrefs.reminderSchedule || null,
+                lastCheckAt: userPrefs.lastCheckAt || null
             });
         }
     }
@@ -322,6 +441,142 @@ function getAllUsersWithReminders() {
     return users;
 }
 
+/**
+ * Gets all users who asked to hear about edited and removed articles
+ * @returns {Array} Array of {userId}
+ */
+function getAllUsersWithArticleUpdates() {
+    const prefs = loadUserPreferences();
+    const users = [];
+
+    for (const [userId, userPrefs] of Object.entries(prefs)) {
+        if (userPrefs.articleUpdates) {
+            users.push({ userId: userId });
+        }
+    }
+
+    return users;
+}
+
+/**
+ * Gets all users who have PAI credentials saved
+ * @returns {Array} Array of {userId}
+ */
+function getAllUsersWithPaiCredentials() {
+    const prefs = loadUserPreferences();
+    const users = [];
+
+    for (const [userId, userPrefs] of Object.entries(prefs)) {
+        if (userPrefs.paiEmail && userPrefs.paiPassword) {
+            users.push({ userId: userId });
+        }
+    }
+
+    return users;
+}
+
+// ==================== CHAT SUBSCRIPTIONS ====================
+
+/**
+ * Gets every group chat and channel subscribed to broadcasts
+ * @returns {Array} Subscriptions {chatId, title, type, topics, addedBy, addedAt}
+ */
+function getChatSubscriptions() {
+    try {
+        return Object.values(getBackend().getAllRecords(CHAT_SUBSCRIPTIONS));
+    } catch (error) {
+        console.error('Error loading chat subscriptions:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Gets a chat's subscription
+ * @param {string} chatId - Telegram chat ID
+ * @returns {Object|null} Subscription or null if the chat isn't subscribed
+ */
+function getChatSubscription(chatId) {
+    try {
+        return getBackend().getRecord(CHAT_SUBSCRIPTIONS, String(chatId)) || null;
+    } catch (error) {
+        console.error('Error loading chat subscription:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Adds or updates a chat's subscription
+ * @param {string} chatId - Telegram chat ID
+ * @param {Object} subscription - {title, type, topics, addedBy}
+ */
+function setChatSubscription(chatId, subscription) {
+    const existing = getChatSubscription(chatId);
+
+    try {
+        getBackend().setRecord(CHAT_SUBSCRIPTIONS, String(chatId), {
+            topics: [],
+            addedAt: new Date().toISOString(),
+            ...existing,
+            ...subscription,
+            chatId: String(chatId)
+        });
+    } catch (error) {
+        console.error('Error saving chat subscription:', error.message);
+    }
+}
+
+/**
+ * Removes a chat's subscription
+ * @param {string} chatId - Telegram chat ID
+ */
+function removeChatSubscription(chatId) {
+    try {
+        const records = getBackend().getAllRecords(CHAT_SUBSCRIPTIONS);
+        delete records[String(chatId)];
+        getBackend().replaceAllRecords(CHAT_SUBSCRIPTIONS, records);
+    } catch (error) {
+        console.error('Error removing chat subscription:', error.message);
+    }
+}
+
+// ==================== EXAM SNAPSHOTS ====================
+
+/**
+ * Gets the last exam table seen for a user
+ * @param {string} userId - User ID
+ * @returns {Object|null} {exams, takenAt} or null if never taken
+ */
+function getExamSnapshot(userId) {
+    try {
+        return getBackend().getRecord(EXAM_SNAPSHOTS, String(userId)) || null;
+    } catch (error) {
+        console.error('Error loading exam snapshot:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the exam table seen for a user
+ * @param {string} userId - User ID
+ * @param {Array} exams - Exam rows from parseExamTable
+ */
+function saveExamSnapshot(userId, exams) {
+    try {
+        getBackend().setRecord(EXAM_SNAPSHOTS, String(userId), {
+            exams: exams.map(exam => ({
+                kode: exam.kode,
+                periode: exam.periode,
+                kota: exam.kota,
+                status: exam.status,
+                hasilUjian: exam.hasilUjian
+            })),
+            takenAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving exam snapshot:', error.message);
+    }
+}
+
 // ==================== EXAM RESULTS ====================
 
 /**
@@ -329,15 +584,8 @@ function getAllUsersWithReminders() {
  * @returns {Object} Object mapping examId to result data
  */
 function loadExamResults() {
-    ensureDataDir();
-
-    if (!fs.existsSync(EXAM_RESULTS_FILE)) {
-        return {};
-    }
-
     try {
-        const data = fs.readFileSync(EXAM_RESULTS_FILE, 'utf8');
-        return JSON.parse(data) || {};
+        return getBackend().getAllRecords(EXAM_RESULTS);
     } catch (error) {
         console.error('Error loading exam results:', error.message);
         return {};
@@ -349,10 +597,8 @@ function loadExamResults() {
  * @param {Object} results - Object mapping examId to result data
  */
 function saveExamResults(results) {
-    ensureDataDir();
-
     try {
-        fs.writeFileSync(EXAM_RESULTS_FILE, JSON.stringify(results, null, 2));
+        getBackend().replaceAllRecords(EXAM_RESULTS, results);
     } catch (error) {
         console.error('Error saving exam results:', error.message);
     }
@@ -360,33 +606,340 @@ function saveExamResults(results) {
 
 /**
  * Gets cached exam result for a specific exam
- * @param {string} examId - The exam code/ID
+ * @param {string} examId - Cache key from getExamResultCacheKey (user and exam row)
  * @returns {Object|null} Cached result or null if not cached
  */
 function getCachedExamResult(examId) {
-    const results = loadExamResults();
-    return results[examId] || null;
+    try {
+        return getBackend().getRecord(EXAM_RESULTS, examId) || null;
+    } catch (error) {
+        console.error('Error loading exam results:', error.message);
+        return null;
+    }
 }
 
 /**
  * Saves an exam result to cache
- * @param {string} examId - The exam code/ID
+ * @param {string} examId - Cache key from getExamResultCacheKey (user and exam row)
  * @param {Object} result - The parsed exam result
  */
 function cacheExamResult(examId, result) {
-    const results = loadExamResults();
-    results[examId] = {
-        ...result,
-        cachedAt: new Date().toISOString()
+    try {
+        getBackend().setRecord(EXAM_RESULTS, examId, {
+            ...result,
+            cachedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving exam results:', error.message);
+    }
+}
+
+// ==================== REGISTRATION STATE ====================
+
+/**
+ * Loads the persisted exam registration state
+ *
+ * Shape:
+ *   current: { isOpen, periods, checkedAt }       - last state seen on the site
+ *   users:   { [userId]: { isOpen, periods, notifiedAt } } - last state each user was told
+ *
+ * @returns {Object} Registration state
+ */
+function loadRegistrationState() {
+    try {
+        const parsed = getBackend().readDocument(REGISTRATION_STATE) || {};
+        return {
+            current: parsed.current || null,
+            users: parsed.users || {}
+        };
+    } catch (error) {
+        console.error('Error loading registration state:', error.message);
+        return { current: null, users: {} };
+    }
+}
+
+/**
+ * Saves the exam registration state
+ * @param {Object} state - Registration state
+ */
+function saveRegistrationState(state) {
+    const data = {
+        current: state.current,
+        users: state.users,
+        lastUpdated: new Date().toISOString()
+    };
+
+    try {
+        getBackend().writeDocument(REGISTRATION_STATE, data);
+    } catch (error) {
+        console.error('Error saving registration state:', error.message);
+    }
+}
+
+// ==================== DELIVERY LEDGER ====================
+
+/**
+ * Loads the per-user delivery ledger from storage
+ *
+ * Shape:
+ *   articles: { [articleId]: detectedAt }  - when new content was first detected
+ *   users:    { [userId]: { since, delivered: { [articleId]: { sentAt, via } } } }
+ *
+ * @returns {Object} Ledger object
+ */
+function loadDeliveryLedger() {
+    try {
+        const parsed = getBackend().readDocument(DELIVERY_LEDGER) || {};
+        return {
+            articles: parsed.articles || {},
+            users: parsed.users || {}
+        };
+    } catch (error) {
+        console.error('Error loading delivery ledger:', error.message);
+        return { articles: {}, users: {} };
+    }
+}
+
+/**
+ * Saves the delivery ledger to storage
+ * @param {Object} ledger - Ledger object
+ */
+function saveDeliveryLedger(ledger) {
+    const data = {
+        articles: ledger.articles,
+        users: ledger.users,
+        lastUpdated: new Date().toISOString()
+    };
+
+    try {
+        getBackend().writeDocument(DELIVERY_LEDGER, data);
+    } catch (error) {
+        console.error('Error saving delivery ledger:', error.message);
+    }
+}
+
+/**
+ * Makes sure a user has a ledger entry. The entry's `since` timestamp is the
+ * baseline: only articles detected after it are ever delivered to the user,
+ * so enabling reminders doesn't replay the whole archive.
+ * Must be called before new articles are registered for the user to get them.
+ * @param {string} userId - Telegram user ID
+ */
+function ensureDeliveryRecord(userId) {
+    const ledger = loadDeliveryLedger();
+    const uid = String(userId);
+
+    if (ledger.users[uid]) return;
+
+    ledger.users[uid] = {
+        since: new Date().toISOString(),
+        delivered: {}
     };
-    saveExamResults(results);
+    saveDeliveryLedger(ledger);
+}
+
+/**
+ * Records the detection time of newly discovered articles
+ * @param {Array} articles - Array of new article objects
+ */
+function registerNewArticles(articles) {
+    const ledger = loadDeliveryLedger();
+    const now = new Date().toISOString();
+
+    articles.forEach(article => {
+        if (!ledger.articles[article.id]) {
+            ledger.articles[article.id] = now;
+        }
+    });
+
+    saveDeliveryLedger(ledger);
+}
+
+/**
+ * Finds articles a user has not yet received
+ * Only articles detected after the user's baseline are considered.
+ * @param {string} userId - Telegram user ID
+ * @param {Array} articles - Candidate article objects
+ * @returns {Array} Articles still to be delivered to the user
+ */
+function getUndeliveredArticles(userId, articles) {
+    const ledger = loadDeliveryLedger();
+    const record = ledger.users[String(userId)];
+
+    if (!record) return [];
+
+    return articles.filter(article => {
+        const detectedAt = ledger.articles[article.id];
+        return detectedAt &&
+            detectedAt >= record.since &&
+            !record.delivered[article.id];
+    });
+}
+
+/**
+ * Records that articles were delivered to a user
+ * @param {string} userId - Telegram user ID
+ * @param {Array} articles - Delivered article objects
+ * @param {string} via - Delivery path ('scheduled', 'digest', 'manual', 'broadcast', or
+ *                       'filtered' when the user's filters skipped the article)
+ */
+function recordDeliveries(userId, articles, via) {
+    const ledger = loadDeliveryLedger();
+    const uid = String(userId);
+    const now = new Date().toISOString();
+
+    if (!ledger.users[uid]) {
+        ledger.users[uid] = { since: now, delivered: {} };
+    }
+
+    articles.forEach(article => {
+        ledger.users[uid].delivered[article.id] = { sentAt: now, via: via };
+    });
+
+    saveDeliveryLedger(ledger);
+}
+
+// ==================== CHECK RUNS ====================
+
+/**
+ * Loads the log of recent check runs, newest first
+ * @returns {Array} Run entries {type, startedAt, finishedAt, ok, summary, error, failures}
+ */
+function loadCheckRuns() {
+    try {
+        const parsed = getBackend().readDocument(CHECK_RUNS) || {};
+        return parsed.runs || [];
+    } catch (error) {
+        console.error('Error loading check runs:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Appends a check run to the log, keeping only the most recent ones
+ * @param {Object} run - Run entry
+ * @param {string} run.type - What was checked ('articles', 'registration', 'exams')
+ * @param {string} run.startedAt - ISO start time
+ * @param {boolean} run.ok - False if the run as a whole failed
+ * @param {string} [run.summary] - Short human-readable outcome
+ * @param {string} [run.error] - Error message when the run failed
+ * @param {Array} [run.failures] - Per-user failures {userId, error} in an otherwise ok run
+ */
+function recordCheckRun(run) {
+    const runs = [{
+        finishedAt: new Date().toISOString(),
+        failures: [],
+        ...run
+    }, ...loadCheckRuns()].slice(0, MAX_CHECK_RUNS);
+
+    try {
+        getBackend().writeDocument(CHECK_RUNS, {
+            runs: runs,
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving check runs:', error.message);
+    }
+}
+
+/**
+ * Gets the most recent check runs
+ * @param {number} limit - Maximum number of runs
+ * @returns {Array} Run entries, newest first
+ */
+function getRecentCheckRuns(limit = 50) {
+    return loadCheckRuns().slice(0, limit);
+}
+
+// ==================== SCRAPER HEALTH ====================
+
+/**
+ * Loads the scrape history used to spot site changes that break parsing
+ * @returns {{pages: Object}} History per scraped page ('news', 'exams')
+ */
+function loadScraperHealth() {
+    try {
+        const parsed = getBackend().readDocument(SCRAPER_HEALTH) || {};
+        return { pages: parsed.pages || {} };
+    } catch (error) {
+        console.error('Error loading scraper health:', error.message);
+        return { pages: {} };
+    }
+}
+
+/**
+ * Saves the scrape history
+ * @param {{pages: Object}} health - History per scraped page
+ */
+function saveScraperHealth(health) {
+    try {
+        getBackend().writeDocument(SCRAPER_HEALTH, {
+            pages: health.pages,
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving scraper health:', error.message);
+    }
+}
+
+// ==================== BACKFILL JOB ====================
+
+/**
+ * Loads the checkpoint of the archive backfill crawl
+ * @returns {Object|null} Job state, or null if no backfill has run
+ */
+function loadBackfillJob() {
+    try {
+        const parsed = getBackend().readDocument(BACKFILL_JOB);
+        return parsed && parsed.job ? parsed.job : null;
+    } catch (error) {
+        console.error('Error loading backfill job:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Saves the checkpoint of the archive backfill crawl
+ * @param {Object} job - Job state
+ */
+function saveBackfillJob(job) {
+    try {
+        getBackend().writeDocument(BACKFILL_JOB, {
+            job: job,
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving backfill job:', error.message);
+    }
+}
+
+/**
+ * Waits for all pending storage writes to reach the disk (call before exiting)
+ * @returns {Promise<void>}
+ */
+function flushStorage() {
+    return getBackend().flush();
 }
 
 module.exports = {
+    flushStorage,
+    DOCUMENTS,
+    COLLECTIONS,
     loadSeenArticles,
     saveSeenArticles,
     getNewArticles,
     markArticlesAsSeen,
+    // Article archive
+    loadArticleArchive,
+    saveArticleArchive,
+    archiveArticles,
+    getUnarchivedArticles,
+    getArchivedArticle,
+    getArchivedArticles,
+    // Topic rules
+    loadTopicRules,
+    saveTopicRules,
+    getTopicRulesPath,
     // User management
     loadAllowedUsers,
     saveAllowedUsers,
@@ -401,13 +954,43 @@ module.exports = {
     getAccessRequests,
     // User preferences
     loadUserPreferences,
+    loadUserPreferencesFor,
     saveUserPreferences,
     getUserPreference,
     setUserPreference,
     getAllUsersWithReminders,
+    getAllUsersWithPaiCredentials,
+    getAllUsersWithArticleUpdates,
+    // Chat subscriptions
+    getChatSubscriptions,
+    getChatSubscription,
+    setChatSubscription,
+    removeChatSubscription,
+    // Exam snapshots
+    getExamSnapshot,
+    saveExamSnapshot,
     // Exam results
     loadExamResults,
     saveExamResults,
     getCachedExamResult,
-    cacheExamResult
+    cacheExamResult,
+    // Registration state
+    loadRegistrationState,
+    saveRegistrationState,
+    // Delivery ledger
+    loadDeliveryLedger,
+    saveDeliveryLedger,
+    ensureDeliveryRecord,
+    registerNewArticles,
+    getUndeliveredArticles,
+    recordDeliveries,
+    // Check runs
+    recordCheckRun,
+    getRecentCheckRuns,
+    // Scraper health
+    loadScraperHealth,
+    saveScraperHealth,
+    // Backfill job
+    loadBackfillJob,
+    saveBackfillJob
 };
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const vm = require('vm');
+const { normalize } = require('./search');
+const { filterByTopics } = require('./classifier');
+const { getUserPreference } = require('./storage');
+
+const MAX_SUBSCRIPTIONS = 20;
+
+// Regexes are kept small: short patterns, no nested quantifiers, and only
+// the start of long articles
+const MAX_PATTERN_LENGTH = 100;
+const MAX_REGEX_TEXT_LENGTH = 20000;
+
+// Those checks can't catch every slow pattern (e.g. (a|a)*c), so each match
+// runs in a sandbox with a hard time limit; a pattern that trips it is
+// disabled until the next restart rather than freezing the bot for everyone
+const REGEX_TIMEOUT_MS = 50;
+const regexSandbox = vm.createContext({});
+const regexTest = new vm.Script('new RegExp(source, flags).test(text)');
+const disabledPatterns = new Set();
+
+/**
+ * Checks a regex source for a quantified group that itself contains a
+ * quantifier, such as (a+)+ or (\w*x)* - the usual cause of catastrophic backtracking
+ * @param {string} source - Regex source
+ * @returns {boolean} True if the pattern nests quantifiers
+ */
+function hasNestedQuantifier(source) {
+    // One entry per open group: does it contain a quantifier?
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const quantified = groups.pop();
+            if (quantified && /[*+{]/.test(source[i + 1] || '')) return true;
+            if (quantified && groups.length > 0) groups[groups.length - 1] = true;
+        } else if (/[*+{]/.test(char) && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Parses a subscription as typed by the user
+ * Plain text is matched as a case-insensitive keyword; `/pattern/flags` is a regex.
+ * @param {string} text - Subscription text
+ * @returns {{keyword: string, regex: RegExp|null, error: string|null}}
+ */
+function parseSubscription(text) {
+    const keyword = (text || '').trim();
+    const regexMatch = keyword.match(/^\/(.+)\/([a-z]*)$/);
+
+    if (!regexMatch) {
+        return { keyword, regex: null, error: keyword ? null : 'Keyword is empty' };
+    }
+
+    if (regexMatch[1].length > MAX_PATTERN_LENGTH) {
+        return { keyword, regex: null, error: `Regex is too long (at most ${MAX_PATTERN_LENGTH} characters)` };
+    }
+    if (hasNestedQuantifier(regexMatch[1])) {
+        return { keyword, regex: null, error: 'Regex repeats a group that already repeats, such as (a+)+ - please simplify it' };
+    }
+
+    try {
+        // Always case-insensitive; titles on the site mix upper and lower case freely
+        const flags = regexMatch[2].includes('i') ? regexMatch[2] : `${regexMatch[2]}i`;
+        return { keyword, regex: new RegExp(regexMatch[1], flags.replace(/g/g, '')), error: null };
+    } catch (error) {
+        return { keyword, regex: null, error: `Invalid regex: ${error.message}` };
+    }
+}
+
+/**
+ * Tests a subscription regex against a text, giving up after REGEX_TIMEOUT_MS
+ * @param {string} subscription - Subscription text (identifies the pattern)
+ * @param {RegExp} regex - Parsed regex
+ * @param {string} text - Text to search
+ * @returns {boolean} True if it matched; false if not, or if the pattern is disabled
+ */
+function testRegex(subscription, regex, text) {
+    if (disabledPatterns.has(subscription)) return false;
+
+    regexSandbox.source = regex.source;
+    regexSandbox.flags = regex.flags;
+    regexSandbox.text = text.slice(0, MAX_REGEX_TEXT_LENGTH);
+
+    try {
+        return regexTest.runInContext(regexSandbox, { timeout: REGEX_TIMEOUT_MS }) === true;
+    } catch (error) {
+        disabledPatterns.add(subscription);
+        console.error(`[${new Date().toISOString()}] Disabled subscription ${subscription}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Checks if a subscription regex was disabled for being too slow
+ * @param {string} subscription - Subscription text
+ * @returns {boolean} True if disabled
+ */
+function isSubscriptionDisabled(subscription) {
+    return disabledPatterns.has(subscription);
+}
+
+/**
+ * Finds the first subscription that matches an article's title or body
+ * @param {Object} article - Article (archived articles also carry a body)
+ * @param {Array<string>} subscriptions - User's subscriptions
+ * @returns {string|null} The matching subscription or null
+ */
+function findMatchingSubscription(article, subscriptions) {
+    const rawText = `${article.title || ''}\n${article.body || ''}`;
+    const text = normalize(rawText);
+
+    for (const subscription of subscriptions) {
+        const parsed = parseSubscription(subscription);
+        if (parsed.error) continue;
+
+        const matches = parsed.regex
+            ? testRegex(subscription, parsed.regex, rawText)
+            : text.includes(normalize(parsed.keyword));
+
+        if (matches) return subscription;
+    }
+
+    return null;
+}
+
+/**
+ * Splits articles into those a user wants and those their subscriptions filter out
+ * Users without subscriptions get everything.
+ * @param {Array} articles - Candidate articles
+ * @param {Array<string>} subscriptions - User's subscriptions
+ * @returns {{matched: Array, filtered: Array}} Matched articles carry `matchedKeyword`
+ */
+function filterBySubscriptions(articles, subscriptions) {
+    if (!subscriptions || subscriptions.length === 0) {
+        return { matched: articles, filtered: [] };
+    }
+
+    const matched = [];
+    const filtered = [];
+
+    articles.forEach(article => {
+        const keyword = findMatchingSubscription(article, subscriptions);
+        if (keyword) {
+            matched.push({ ...article, matchedKeyword: keyword });
+        } else {
+            filtered.push(article);
+        }
+    });
+
+    return { matched, filtered };
+}
+
+/**
+ * Builds a short, stable ID for a subscription, for use in button callback data
+ * @param {string} subscription - Subscription text
+ * @returns {string} 12 hex characters
+ */
+function getSubscriptionId(subscription) {
+    return crypto.createHash('sha256').update(subscription).digest('hex').slice(0, 12);
+}
+
+/**
+ * Applies a user's topic filter, then their keyword subscriptions
+ * @param {string} userId - Telegram user ID
+ * @param {Array} articles - Pending articles
+ * @returns {{matched: Array, skipped: Array}} Articles to send and articles the filters skipped
+ */
+function filterArticlesForUser(userId, articles) {
+    const byTopic = filterByTopics(articles, getUserPreference(userId, 'topics', []));
+    const subscriptions = getUserPreference(userId, 'subscriptions', []);
+    const { matched, filtered } = filterBySubscriptions(byTopic.matched, subscriptions);
+
+    return { matched, skipped: [...byTopic.filtered, ...filtered] };
+}
+
+module.exports = {
+    MAX_SUBSCRIPTIONS,
+    parseSubscription,
+    getSubscriptionId,
+    isSubscriptionDisabled,
+    findMatchingSubscription,
+    filterBySubscriptions,
+    filterArticlesForUser
+};
@@ -1,6 +1,39 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { scrapeArticles } = require('./scraper');
-const { fetchExamListForUser, fetchExamResultPdf, getSession, checkRegistrationOpen } = require('./examMonitor');
+const { fetchExamListForUser, fetchExamResultPdf, getSession, checkRegistrationOpen, getExamResultCacheKey } = require('./examMonitor');
+const { parseQuery, searchArticles } = require('./search');
+const { buildExamCalendar } = require('./calendar');
+const { MAX_SUBSCRIPTIONS, parseSubscription, getSubscriptionId, isSubscriptionDisabled, filterArticlesForUser } = require('./subscriptions');
+const { isWebhookMode, getWebhookConfig, startWebhook, stopWebhook } = require('./webhookServer');
+const { buildArticleAlert } = require('./alerts');
+const { parseTimeOfDay, parseDigestDay, getDeliverySettings, describeDeliveryMode } = require('./digest');
+const { renderTelegramAlert } = require('./channels/telegram');
+const { getChannel, getEnabledChannelTypes } = require('./channels');
+const {
+    getUserChannelSettings,
+    getUserChannels,
+    setUserChannel,
+    getUserTimeZone,
+    isUserInQuietHours,
+    deliverToChannels
+} = require('./notifier');
+const { resolveTimeZone, formatInTimeZone } = require('./timezone');
+const { parseQuietHours, getQuietHoursEnd } = require('./quietHours');
+const { parseSchedule, getNextRun, getNextCheck } = require('./schedule');
+const { getCircuitState } = require('./httpClient');
+const { startBackfill, getBackfillProgress } = require('./backfill');
+const {
+    getTopicRules,
+    validateTopicRules,
+    getTopicInfo,
+    reclassifyArchive
+} = require('./classifier');
+const {
+    isEncryptionConfigured,
+    getUserCredentials,
+    setUserCredentials,
+    reencryptAllPasswords
+} = require('./credentials');
 const {
     loadSeenArticles,
     getNewArticles,
@@ -12,15 +45,30 @@ const {
     removeAccessRequest,
     getAccessRequests,
     loadAllowedUsers,
+    loadUserPreferencesFor,
     getUserPreference,
     setUserPreference,
     getAllUsersWithReminders,
     getCachedExamResult,
-    cacheExamResult
+    cacheExamResult,
+    ensureDeliveryRecord,
+    registerNewArticles,
+    getUndeliveredArticles,
+    recordDeliveries,
+    getArchivedArticle,
+    getArchivedArticles,
+    getChatSubscriptions,
+    getChatSubscription,
+    setChatSubscription,
+    removeChatSubscription,
+    loadTopicRules,
+    getTopicRulesPath
 } = require('./storage');
 
 let bot = null;
 
+const SEARCH_RESULTS_PER_PAGE = 5;
+
 /**
  * Gets the admin chat ID from environment
  * @returns {string|null} Admin chat ID or null
@@ -48,6 +96,15 @@ function canUseBot(userId) {
     return isAdmin(userId) || isUserAllowed(userId);
 }
 
+/**
+ * Checks if a message was sent in a private chat with the bot
+ * @param {Object} msg - Telegram message
+ * @returns {boolean} True for private chats
+ */
+function isPrivateChat(msg) {
+    return msg.chat.type === 'private';
+}
+
 /**
  * Formats a page of exam results for display
  * @param {Array} exams - All exam data
@@ -75,19 +132,104 @@ function formatExamPage(exams, page, perPage) {
     return message;
 }
 
+/**
+ * Formats a page of search hits for display
+ * @param {Array} hits - Ranked hits from searchArticles
+ * @param {string} queryText - The raw query, echoed in the header
+ * @param {number} page - Current page (0-indexed)
+ * @param {number} perPage - Items per page
+ * @returns {string} Formatted message
+ */
+function formatSearchPage(hits, queryText, page, perPage) {
+    const start = page * perPage;
+    const pageHits = hits.slice(start, start + perPage);
+
+    let message = `*🔎 ${hits.length} result${hits.length === 1 ? '' : 's'} for* \`${queryText.replace(/`/g, "'")}\`\n\n`;
+
+    pageHits.forEach((hit, index) => {
+        const article = hit.article;
+        const date = article.publishedAt ? ` • ${article.publishedAt}` : '';
+        message += `*${start + index + 1}.* [${escapeMarkdown(article.title)}](${article.url})${escapeMarkdown(date)}\n`;
+        if (hit.snippet) {
+            message += `_${escapeMarkdown(hit.snippet)}_\n`;
+        }
+        message += '\n';
+    });
+
+    return message;
+}
+
+/**
+ * Formats backfill progress for /backfill
+ * @param {Object|null} progress - From getBackfillProgress
+ * @returns {string} Markdown text
+ */
+function formatBackfillProgress(progress) {
+    if (!progress) {
+        return '🗂 *Archive Backfill*\n\nNo backfill has run yet. Send /backfill to start one.';
+    }
+
+    const status = progress.running ? '⏳ Running'
+        : progress.status === 'done' ? '✅ Done'
+            : `⏸ Paused${progress.stopReason ? ` (${escapeMarkdown(progress.stopReason)})` : ''}`;
+
+    let message = `🗂 *Archive Backfill*\n\n`;
+    message += `*Status:* ${status}\n`;
+    message += `*Pages:* ${progress.pagesDone} done, ${progress.pagesPending} pending, ${progress.pagesFailed} failed\n`;
+    message += `*Articles:* ${progress.articles} found, ${progress.archived} archived\n`;
+    message += `*Started:* ${new Date(progress.startedAt).toLocaleString()}\n`;
+    message += progress.finishedAt
+        ? `*Finished:* ${new Date(progress.finishedAt).toLocaleString()}`
+        : `*Last page:* ${new Date(progress.updatedAt).toLocaleString()}`;
+    return message;
+}
 
 /**
- * Initializes the Telegram bot
- * @returns {TelegramBot} The bot instance
+ * Builds the Prev/Next keyboard for a list of pages
+ * @param {string} prefix - Callback data prefix (e.g. 'search_page_')
+ * @param {number} page - Current page (0-indexed)
+ * @param {number} totalPages - Total number of pages
+ * @returns {Array} Inline keyboard row
+ */
+function buildPageButtons(prefix, page, totalPages) {
+    const buttons = [];
+    if (page > 0) {
+        buttons.push({ text: '◀ Prev', callback_data: `${prefix}${page - 1}` });
+    }
+    buttons.push({ text: `${page + 1}/${totalPages}`, callback_data: `${prefix}info` });
+    if (page < totalPages - 1) {
+        buttons.push({ text: 'Next ▶', callback_data: `${prefix}${page + 1}` });
+    }
+    return buttons;
+}
+
+/**
+ * Initializes the Telegram bot and starts receiving updates, by long polling
+ * (default) or by webhook when TELEGRAM_MODE=webhook
+ * @returns {Promise<TelegramBot>} The bot instance
  */
-function initBot() {
+async function initBot() {
     const token = process.env.TELEGRAM_BOT_TOKEN;
 
     if (!token) {
         throw new Error('TELEGRAM_BOT_TOKEN is not set in environment variables');
     }
 
-    bot = new TelegramBot(token, { polling: true });
+    // Fail on a bad webhook config before anything starts
+    const webhookMode = isWebhookMode();
+    if (webhookMode) getWebhookConfig();
+
+    bot = new TelegramBot(token, { polling: webhookMode ? false : { autoStart: false } });
+
+    /**
+     * Exam data and credentials are personal, so their commands only work in a
+     * private chat; elsewhere the user gets a hint instead
+     */
+    function requirePrivateChat(msg) {
+        if (isPrivateChat(msg)) return true;
+        bot.sendMessage(msg.chat.id, '🔒 This command only works in a private chat with the bot.');
+        return false;
+    }
 
     // Handle /start command - shows welcome or access denied
     bot.onText(/\/start/, (msg) => {
@@ -97,6 +239,12 @@ function initBot() {
         const name = `${msg.from.first_name || ''} ${msg.from.last_name || ''}`.trim();
 
         if (canUseBot(userId)) {
+            // Remember who this is for the admin dashboard
+            const profile = getUserPreference(userId, 'profile', null);
+            if (!profile || profile.name !== name || profile.username !== (username || null)) {
+                setUserPreference(userId, 'profile', { name, username: username || null });
+            }
+
             // User is allowed
             let message = `👋 *Welcome to PAI News Notifier!*
 
@@ -105,9 +253,18 @@ Your Chat ID is: \`${chatId}\`
 *Available Commands:*
 /check - Check for new articles now
 /latest - Show the 5 latest articles
+/search - Search archived articles
+/subscribe - Only get articles matching keywords
+/topics - Choose article topics
+/updates - Notices when articles are edited or removed
+/channels - Choose where alerts are sent
+/subscribegroup - Broadcast news to a group or channel
 /status - Bot status info
 /examstatus - Check PAI exam status
+/examwatch - Automatic exam status alerts
+/examcal - Export exam dates as a calendar file
 /checkreg - Check if registration is open
+/watchsubject - Watch registration for a subject
 /setpai - Set PAI login credentials
 /help - Show this help message`;
 
@@ -115,7 +272,10 @@ Your Chat ID is: \`${chatId}\`
                 message += `
 
 *Admin:*
-/admin - Open admin panel`;
+/admin - Open admin panel
+/topicrules - Review or reload topic rules
+/backfill - Crawl all pages into the archive (\`status\`, \`restart\`)
+/rotatekey - Re-encrypt credentials with the current key`;
             }
 
             bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -148,6 +308,17 @@ Your User ID: \`${userId}\``;
 
 /check - Manually check for new articles
 /latest - Show the 5 latest articles on the website
+/search <terms> - Search archived articles (supports "phrases", after:YYYY-MM, before:YYYY-MM)
+/subscribe <keyword> - Only notify me about articles matching a keyword or /regex/
+/unsubscribe <keyword> - Remove a keyword (or \`all\`)
+/subscriptions - List my keywords
+/topics - Choose which topics to be notified about
+/updates - Tell me when articles are edited or removed (\`on\`/\`off\`)
+/channels - Also get alerts by email, Discord or Slack
+/quiet - Hold alerts during quiet hours (e.g. \`/quiet 22:00-07:00\`)
+/timezone - Set your time zone for digests and quiet hours
+/subscribegroup - Broadcast news to this group (group admins, optionally with topic IDs), or \`/subscribegroup @channel\` for a channel
+/unsubscribegroup - Stop broadcasts to a group or channel
 /status - Show bot status and last check time
 /help - Show this help message
 
@@ -157,7 +328,10 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
             message += `
 
 *Admin:*
-/admin - Open admin panel`;
+/admin - Open admin panel
+/topicrules - Review or reload topic rules
+/backfill - Crawl all pages into the archive (\`status\`, \`restart\`)
+/rotatekey - Re-encrypt credentials with the current key`;
         }
 
         bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -180,9 +354,24 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
             const seenIds = loadSeenArticles();
             const newArticles = getNewArticles(articles, seenIds);
 
+            // New content is tracked globally; delivery is tracked per user
+            ensureDeliveryRecord(userId);
             if (newArticles.length > 0) {
-                await sendNewArticlesNotification(chatId, newArticles);
+                registerNewArticles(newArticles);
                 markArticlesAsSeen(newArticles, seenIds);
+            }
+
+            // Same filters as scheduled delivery, on the archived copy where there is one
+            const pending = getUndeliveredArticles(userId, articles)
+                .map(article => getArchivedArticle(article.id) || article);
+            const { matched, skipped } = filterArticlesForUser(userId, pending);
+            if (skipped.length > 0) {
+                recordDeliveries(userId, skipped, 'filtered');
+            }
+
+            if (matched.length > 0) {
+                await sendNewArticlesNotification(chatId, matched);
+                recordDeliveries(userId, matched, 'manual');
             } else {
                 bot.sendMessage(chatId, '✅ No new articles found. You\'re all caught up!');
             }
@@ -223,6 +412,59 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
         }
     });
 
+    // Handle /search command - full-text search over the article archive (authorized users only)
+    bot.onText(/\/search(?:\s+(.+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const queryText = match[1] ? match[1].trim() : null;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (!queryText) {
+            bot.sendMessage(chatId,
+                '*🔎 Search Archived Articles*\n\n' +
+                '• `/search ujian` - Articles mentioning a word\n' +
+                '• `/search "kartu ujian"` - Exact phrase\n' +
+                '• `/search seminar after:2025-01` - Published since January 2025\n' +
+                '• `/search ppl before:2024-07-01` - Published before July 2024',
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+
+        const query = parseQuery(queryText);
+
+        if (query.errors.length > 0) {
+            bot.sendMessage(chatId, `❌ ${query.errors.join('\n')}`);
+            return;
+        }
+
+        const hits = searchArticles(getArchivedArticles(), query);
+
+        if (hits.length === 0) {
+            bot.sendMessage(chatId, '📭 No archived articles match your search.');
+            return;
+        }
+
+        // Store the query for pagination; the archive is searched again per page
+        setUserPreference(userId, 'searchQuery', queryText);
+
+        const totalPages = Math.ceil(hits.length / SEARCH_RESULTS_PER_PAGE);
+        const message = formatSearchPage(hits, queryText, 0, SEARCH_RESULTS_PER_PAGE);
+        const keyboard = totalPages > 1 ? {
+            reply_markup: { inline_keyboard: [buildPageButtons('search_page_', 0, totalPages)] }
+        } : {};
+
+        bot.sendMessage(chatId, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            ...keyboard
+        });
+    });
+
     // Handle /status command (authorized users only)
     bot.onText(/\/status/, (msg) => {
         const chatId = msg.chat.id;
@@ -238,6 +480,10 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
         const uptime = process.uptime();
         const hours = Math.floor(uptime / 3600);
         const minutes = Math.floor((uptime % 3600) / 60);
+        const circuit = getCircuitState();
+        const siteStatus = circuit.state === 'closed'
+            ? 'reachable'
+            : `unreachable, checks paused until ${formatInTimeZone(circuit.retryAt, getUserTimeZone(userId))}`;
 
         let message = `*🤖 Bot Status*
 
@@ -245,7 +491,7 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
 ⏱ Uptime: ${hours}h ${minutes}m
 📊 Articles tracked: ${seenIds.size}
 🔄 Check interval: ${process.env.CHECK_INTERVAL_MINUTES || 30} minutes
-🌐 Target: aktuaris.or.id`;
+🌐 Target: aktuaris.or.id (${siteStatus})`;
 
         if (isAdmin(userId)) {
             message += `
@@ -269,6 +515,8 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
             return;
         }
 
+        if (!requirePrivateChat(msg)) return;
+
         // Handle clear command
         if (args && args.toLowerCase() === 'clear') {
             setUserPreference(userId, 'paiEmail', null);
@@ -278,6 +526,11 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
             return;
         }
 
+        if (!isEncryptionConfigured()) {
+            bot.sendMessage(chatId, '❌ Saving PAI credentials is disabled until the admin sets CREDENTIALS_KEY.');
+            return;
+        }
+
         // Check current credentials status
         const currentEmail = getUserPreference(userId, 'paiEmail', null);
 
@@ -299,8 +552,8 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
 
     // Handle text messages for PAI login flow
     bot.on('message', async (msg) => {
-        // Skip commands and non-text messages
-        if (!msg.text || msg.text.startsWith('/')) return;
+        // Skip commands and non-text messages; the login flow only runs in private chats
+        if (!msg.text || msg.text.startsWith('/') || !isPrivateChat(msg)) return;
 
         const chatId = msg.chat.id;
         const userId = msg.from.id;
@@ -328,13 +581,18 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
 
             if (!email) {
                 setUserPreference(userId, 'paiLoginStep', null);
-                bot.sendMessage(chatId, '\u274c Something went wrong. Please start again with /setpai');
+                bot.sendMessage(chatId, '❌ Something went wrong. Please start again with /setpai');
                 return;
             }
 
-            // Save credentials
-            setUserPreference(userId, 'paiEmail', email);
-            setUserPreference(userId, 'paiPassword', text);
+            // Save credentials (password is encrypted at rest)
+            try {
+                setUserCredentials(userId, email, text);
+            } catch (error) {
+                setUserPreference(userId, 'paiLoginStep', null);
+                bot.sendMessage(chatId, `❌ Could not save credentials: ${error.message}`);
+                return;
+            }
             setUserPreference(userId, 'paiTempEmail', null);
             setUserPreference(userId, 'paiLoginStep', null);
 
@@ -357,14 +615,17 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
             return;
         }
 
-        const email = getUserPreference(userId, 'paiEmail', null);
-        const password = getUserPreference(userId, 'paiPassword', null);
+        if (!requirePrivateChat(msg)) return;
+
+        const credentials = getUserCredentials(userId);
 
-        if (!email || !password) {
+        if (!credentials) {
             bot.sendMessage(chatId, '❌ PAI credentials not set.\n\nSend /setpai to set your credentials first.', { parse_mode: 'Markdown' });
             return;
         }
 
+        const { email, password } = credentials;
+
         try {
             const statusMsg = await bot.sendMessage(chatId, '📝 Logging in and fetching exam status...');
 
@@ -391,8 +652,9 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
 
             // Fetch PDF results for exams that have result links
             for (const exam of exams) {
-                // Check cache first using exam code as ID
-                const cached = getCachedExamResult(exam.kode);
+                // Check cache first (results are per user and exam row)
+                const cacheKey = getExamResultCacheKey(userId, exam);
+                const cached = getCachedExamResult(cacheKey);
                 if (cached) {
                     exam.result = cached;
                     continue;
@@ -405,7 +667,7 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
                         if (result) {
                             exam.result = result;
                             // Cache the result
-                            cacheExamResult(exam.kode, result);
+                            cacheExamResult(cacheKey, result);
                         }
                     } catch (e) {
                         console.error('Error fetching PDF result:', e.message);
@@ -443,6 +705,198 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
         }
     });
 
+    // Handle /examcal command - export exams and registration windows as an .ics file (authorized users only)
+    bot.onText(/^\/examcal/, async (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (!requirePrivateChat(msg)) return;
+
+        const credentials = getUserCredentials(userId);
+
+        if (!credentials) {
+            bot.sendMessage(chatId, '❌ PAI credentials not set.\n\nSend /setpai to set your credentials first.', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const { email, password } = credentials;
+
+        try {
+            const statusMsg = await bot.sendMessage(chatId, '📅 Building your exam calendar...');
+
+            const exams = await fetchExamListForUser(userId, email, password);
+
+            if (!exams) {
+                bot.editMessageText('❌ Failed to fetch exams. Check your credentials with /setpai or try again later.', {
+                    chat_id: chatId,
+                    message_id: statusMsg.message_id
+                });
+                return;
+            }
+
+            const cookie = await getSession(userId, email, password);
+            const registration = cookie ? await checkRegistrationOpen(cookie) : { periods: [] };
+
+            const calendar = buildExamCalendar(exams, registration.periods || []);
+
+            if (calendar.included === 0) {
+                let message = '📭 Nothing with a date to put in a calendar yet.';
+                if (calendar.skipped.length > 0) {
+                    message += `\n\nNo date found for:\n${calendar.skipped.map(item => `• ${item}`).join('\n')}`;
+                }
+                bot.editMessageText(message, { chat_id: chatId, message_id: statusMsg.message_id });
+                return;
+            }
+
+            let caption = `📅 ${calendar.included} event(s). Import into Google Calendar or Outlook; re-importing a newer file updates the same events.`;
+            if (calendar.skipped.length > 0) {
+                caption += `\n\nNo date found for: ${calendar.skipped.join(', ')}`;
+            }
+
+            await bot.sendDocument(chatId, Buffer.from(calendar.ics, 'utf8'), {
+                caption: caption.slice(0, 1024)
+            }, {
+                filename: 'pai-exams.ics',
+                contentType: 'text/calendar'
+            });
+
+            bot.deleteMessage(chatId, statusMsg.message_id).catch(() => {});
+
+        } catch (error) {
+            console.error('Error building exam calendar:', error);
+            bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+        }
+    });
+
+    // Handle /examwatch command - toggle automatic exam status alerts (authorized users only)
+    bot.onText(/^\/examwatch(?:\s+(.+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const arg = match[1] ? match[1].trim().toLowerCase() : null;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (!requirePrivateChat(msg)) return;
+
+        if (arg === 'on' || arg === 'off') {
+            setUserPreference(userId, 'examWatchEnabled', arg === 'on');
+        }
+
+        const enabled = getUserPreference(userId, 'examWatchEnabled', true);
+        const hasCredentials = Boolean(getUserPreference(userId, 'paiEmail', null));
+
+        let message = `*📋 Exam Status Alerts*\n\n`;
+        message += enabled ? `✅ Alerts: *Enabled*\n` : `❌ Alerts: *Disabled*\n`;
+        message += `\nI check your exam table every ${process.env.EXAM_WATCH_INTERVAL_MINUTES || 60} minutes and tell you about new exams, status changes and published results (with your score).\n\n`;
+        if (!hasCredentials) {
+            message += `⚠️ Set your PAI login with /setpai first.\n\n`;
+        }
+        message += `• \`/examwatch on\` - Enable alerts\n`;
+        message += `• \`/examwatch off\` - Disable alerts`;
+
+        bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    });
+
+    // Handle /updates command - toggle notices about edited and removed articles (authorized users only)
+    bot.onText(/^\/updates(?:\s+(.+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const arg = match[1] ? match[1].trim().toLowerCase() : null;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (arg === 'on' || arg === 'off') {
+            setUserPreference(userId, 'articleUpdates', arg === 'on');
+        }
+
+        const enabled = getUserPreference(userId, 'articleUpdates', false);
+
+        let message = `*📝 Article Update Notices*\n\n`;
+        message += enabled ? `✅ Notices: *Enabled*\n` : `❌ Notices: *Disabled*\n`;
+        message += `\nPAI sometimes corrects announcements after posting them, e.g. exam dates. With notices on, I tell you when an article matching your /topics and keywords is edited (with the changed lines) or taken down.\n\n`;
+        message += `• \`/updates on\` - Enable notices\n`;
+        message += `• \`/updates off\` - Disable notices`;
+
+        bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    });
+
+    // Handle /watchsubject command - alert when a registration period for a subject appears (authorized users only)
+    bot.onText(/^\/watchsubject(?:\s+(.+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const args = match[1] ? match[1].trim().split(/\s+/) : [];
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (!requirePrivateChat(msg)) return;
+
+        const watchlist = getUserPreference(userId, 'watchSubjects', []);
+        const action = args[0] ? args[0].toLowerCase() : null;
+
+        if (!action) {
+            let message = '*🎯 Subject Watchlist*\n\n';
+            if (watchlist.length === 0) {
+                message += 'You are not watching any subject, so you get every registration change.\n\n';
+            } else {
+                message += `Watching: ${watchlist.map(code => `\`${code}\``).join(', ')}\n`;
+                message += `_You're only alerted when a registration period for one of these appears._\n\n`;
+            }
+            message += '• `/watchsubject A50` - Watch a subject or period code\n';
+            message += '• `/watchsubject remove A50` - Stop watching it\n';
+            message += '• `/watchsubject clear` - Watch nothing (get every change)';
+
+            bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        if (action === 'clear') {
+            setUserPreference(userId, 'watchSubjects', []);
+            bot.sendMessage(chatId, '🗑 Watchlist cleared. You will get every registration change (with /reminder on).');
+            return;
+        }
+
+        if (action === 'remove') {
+            const code = (args[1] || '').toUpperCase();
+            if (!watchlist.includes(code)) {
+                bot.sendMessage(chatId, `❌ You are not watching \`${code || '?'}\`.`, { parse_mode: 'Markdown' });
+                return;
+            }
+            setUserPreference(userId, 'watchSubjects', watchlist.filter(c => c !== code));
+            bot.sendMessage(chatId, `✅ Stopped watching \`${code}\`.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const code = args[0].toUpperCase();
+        if (!/^[A-Z0-9-]{2,20}$/.test(code)) {
+            bot.sendMessage(chatId, '❌ Use a subject or period code such as `A50` or `F30`.', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        if (!watchlist.includes(code)) {
+            watchlist.push(code);
+            setUserPreference(userId, 'watchSubjects', watchlist);
+        }
+
+        bot.sendMessage(chatId,
+            `✅ Watching \`${code}\`.\n\nI'll alert you when a registration period mentioning it appears, with a link to register.`,
+            { parse_mode: 'Markdown' }
+        );
+    });
+
     // Handle exam pagination
     bot.on('callback_query', async (query) => {
         const data = query.data;
@@ -489,6 +943,39 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
 
             bot.answerCallbackQuery(query.id);
         }
+
+        if (data.startsWith('search_page_')) {
+            if (data === 'search_page_info') {
+                bot.answerCallbackQuery(query.id);
+                return;
+            }
+
+            const page = parseInt(data.split('_')[2]);
+            const queryText = getUserPreference(userId, 'searchQuery', null);
+
+            if (!queryText) {
+                bot.answerCallbackQuery(query.id, { text: 'Search expired. Run /search again.' });
+                return;
+            }
+
+            const hits = searchArticles(getArchivedArticles(), parseQuery(queryText));
+            const totalPages = Math.ceil(hits.length / SEARCH_RESULTS_PER_PAGE);
+
+            if (page >= totalPages) {
+                bot.answerCallbackQuery(query.id, { text: 'Results changed. Run /search again.' });
+                return;
+            }
+
+            bot.editMessageText(formatSearchPage(hits, queryText, page, SEARCH_RESULTS_PER_PAGE), {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true,
+                reply_markup: { inline_keyboard: [buildPageButtons('search_page_', page, totalPages)] }
+            });
+
+            bot.answerCallbackQuery(query.id);
+        }
     });
 
     // Handle /checkreg command - check if exam registration is open
@@ -501,14 +988,17 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
             return;
         }
 
-        const email = getUserPreference(userId, 'paiEmail', null);
-        const password = getUserPreference(userId, 'paiPassword', null);
+        if (!requirePrivateChat(msg)) return;
 
-        if (!email || !password) {
+        const credentials = getUserCredentials(userId);
+
+        if (!credentials) {
             bot.sendMessage(chatId, '❌ PAI credentials not set.\n\nSend /setpai to set your credentials first.', { parse_mode: 'Markdown' });
             return;
         }
 
+        const { email, password } = credentials;
+
         try {
             const statusMsg = await bot.sendMessage(chatId, '🔍 Checking registration status...');
 
@@ -656,7 +1146,10 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
         bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     });
 
-    // Handle /reminder command - set notification interval (authorized users only)
+    // Default check interval when a digest is enabled without one
+    const DIGEST_CHECK_INTERVAL = 60;
+
+    // Handle /reminder command - set notification interval or digest (authorized users only)
     bot.onText(/\/reminder(?:\s+(.+))?/, (msg, match) => {
         const chatId = msg.chat.id;
         const userId = msg.from.id;
@@ -668,65 +1161,856 @@ The bot automatically checks for updates every ${process.env.CHECK_INTERVAL_MINU
         }
 
         const currentInterval = getUserPreference(userId, 'reminderInterval', null);
+        const currentSchedule = getUserPreference(userId, 'reminderSchedule', null);
         const isEnabled = getUserPreference(userId, 'reminderEnabled', false);
+        const timeZone = getUserTimeZone(userId);
 
         if (!arg) {
             // Show current setting
+            const delivery = getDeliverySettings(loadUserPreferencesFor(userId));
             let message = '*⏰ Reminder Settings*\n\n';
 
-            if (isEnabled && currentInterval) {
+            if (isEnabled && (currentInterval || currentSchedule)) {
                 message += `✅ Notifications: *Enabled*\n`;
-                message += `⏱ Interval: Every *${currentInterval} minutes*\n\n`;
+                message += `📬 Delivery: *${escapeMarkdown(describeDeliveryMode(delivery))}*\n`;
+                if (currentSchedule) {
+                    message += `🗓 Schedule: *${escapeMarkdown(currentSchedule.text)}*\n`;
+                    message += `   ${currentSchedule.expressions.map(expression => `\`${expression}\``).join(', ')} (${escapeMarkdown(timeZone)})\n`;
+                } else {
+                    message += `⏱ Interval: Checks every *${currentInterval} minutes*\n`;
+                }
+
+                const reminder = { intervalMinutes: currentInterval, schedule: currentSchedule };
+                const nextCheck = getNextCheck(reminder, timeZone, getUserPreference(userId, 'lastCheckAt', null));
+                message += nextCheck ? `⏭ Next check: ${formatInTimeZone(nextCheck, timeZone)}\n\n` : '\n';
             } else {
                 message += `❌ Notifications: *Disabled*\n\n`;
             }
 
             message += `*To change:*\n`;
-            message += `• \`/reminder 30\` - Check every 30 minutes\n`;
-            message += `• \`/reminder 60\` - Check every hour\n`;
+            message += `• \`/reminder 30\` - Check every 30 minutes, notify immediately\n`;
+            message += `• \`/reminder 60\` - Check every hour, notify immediately\n`;
+            message += `• \`/reminder weekdays 08:00,17:00\` - Check on a schedule (or a cron expression like \`0 8 * * 1-5\`)\n`;
+            message += `• \`/reminder daily 08:00\` - One digest a day at 08:00\n`;
+            message += `• \`/reminder weekly mon 08:00\` - One digest a week\n`;
             message += `• \`/reminder off\` - Turn off notifications`;
 
             bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
             return;
         }
 
-        if (arg.toLowerCase() === 'off') {
+        const [mode, ...rest] = arg.toLowerCase().split(/\s+/);
+
+        if (mode === 'off') {
             // Disable notifications
             setUserPreference(userId, 'reminderEnabled', false);
             bot.sendMessage(chatId, '🔕 Notifications disabled. You can still use /check manually.');
             return;
         }
 
+        if (mode === 'daily' || mode === 'weekly') {
+            const dayArg = mode === 'weekly' && rest.length > 0 && parseTimeOfDay(rest[0]) === null ? rest.shift() : null;
+            const day = dayArg === null ? null : parseDigestDay(dayArg);
+            const time = rest.length > 0 ? parseTimeOfDay(rest[0]) : null;
+
+            if ((dayArg !== null && day === null) || (rest.length > 0 && time === null) || rest.length > 1) {
+                bot.sendMessage(chatId, '❌ Usage: `/reminder daily 08:00` or `/reminder weekly mon 08:00`\n\nDays: mon-sun or senin-minggu; times are 24-hour.', { parse_mode: 'Markdown' });
+                return;
+            }
+
+            if (time) setUserPreference(userId, 'digestTime', time);
+            if (day !== null) setUserPreference(userId, 'digestDay', day);
+            if (!currentInterval && !currentSchedule) setUserPreference(userId, 'reminderInterval', DIGEST_CHECK_INTERVAL);
+            setUserPreference(userId, 'deliveryMode', mode);
+            // Start counting from now, so the first digest waits for the next scheduled time
+            setUserPreference(userId, 'lastDigestAt', new Date().toISOString());
+            setUserPreference(userId, 'reminderEnabled', true);
+            ensureDeliveryRecord(userId);
+
+            const delivery = getDeliverySettings(loadUserPreferencesFor(userId));
+            bot.sendMessage(chatId, `✅ Delivery set to *${describeDeliveryMode(delivery)}*.\n\nNew articles and registration changes are collected into one message. Exam status updates still arrive immediately.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        if (mode === 'immediate') {
+            setUserPreference(userId, 'deliveryMode', 'immediate');
+            if (!currentInterval && !currentSchedule) setUserPreference(userId, 'reminderInterval', DIGEST_CHECK_INTERVAL);
+            setUserPreference(userId, 'reminderEnabled', true);
+            ensureDeliveryRecord(userId);
+
+            const cadence = currentSchedule
+                ? `on your schedule (*${escapeMarkdown(currentSchedule.text)}*)`
+                : `checking every *${currentInterval || DIGEST_CHECK_INTERVAL} minutes*`;
+            bot.sendMessage(chatId, `✅ Notifications will arrive immediately, ${cadence}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        if (!/^\d+$/.test(arg)) {
+            // Anything else is a schedule phrase or cron expression
+            const { schedule, error } = parseSchedule(arg, timeZone);
+            if (error) {
+                bot.sendMessage(chatId, `❌ ${escapeMarkdown(error)}.\n\nExamples:\n• \`/reminder weekdays 08:00,17:00\`\n• \`/reminder mon,wed,fri 09:30\`\n• \`/reminder 0 */2 * * *\` (cron: minute hour day month weekday)\n• \`/reminder 30\` (every 30 minutes)`, { parse_mode: 'Markdown' });
+                return;
+            }
+
+            setUserPreference(userId, 'reminderSchedule', schedule);
+            setUserPreference(userId, 'deliveryMode', 'immediate');
+            // Start from now, so setting a schedule doesn't fire a check straight away
+            setUserPreference(userId, 'lastCheckAt', new Date().toISOString());
+            setUserPreference(userId, 'reminderEnabled', true);
+            ensureDeliveryRecord(userId);
+
+            const nextRun = getNextRun(schedule, timeZone);
+            bot.sendMessage(chatId, `✅ Checks scheduled: *${escapeMarkdown(schedule.text)}* (${escapeMarkdown(timeZone)})\n\n⏭ Next check: ${formatInTimeZone(nextRun, timeZone)}\n\nChange your zone with /timezone.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
         const minutes = parseInt(arg);
-        if (isNaN(minutes) || minutes < 10 || minutes > 1440) {
-            bot.sendMessage(chatId, '❌ Please enter a number between 10 and 1440 minutes (24 hours).\n\nExample: `/reminder 30`', { parse_mode: 'Markdown' });
+        if (minutes < 10 || minutes > 1440) {
+            bot.sendMessage(chatId, '❌ Please enter a number between 10 and 1440 minutes (24 hours), a schedule, `daily` or `weekly`.\n\nExample: `/reminder 30`', { parse_mode: 'Markdown' });
             return;
         }
 
-        // Set the interval
+        // Set the interval (replaces any schedule)
         setUserPreference(userId, 'reminderInterval', minutes);
+        setUserPreference(userId, 'reminderSchedule', null);
+        setUserPreference(userId, 'deliveryMode', 'immediate');
         setUserPreference(userId, 'reminderEnabled', true);
+        ensureDeliveryRecord(userId);
 
         bot.sendMessage(chatId, `✅ Notifications set to every *${minutes} minutes*.\n\nI'll notify you when new articles are published.`, { parse_mode: 'Markdown' });
     });
 
-    // ==================== ADMIN PANEL WITH INLINE KEYBOARDS ====================
-
-    // Handle /admin command - shows admin panel with inline buttons
-    bot.onText(/\/admin/, (msg) => {
+    // Handle /timezone command - set the zone for digests and quiet hours (authorized users only)
+    bot.onText(/^\/timezone(?:\s+(\S+))?/, (msg, match) => {
         const chatId = msg.chat.id;
         const userId = msg.from.id;
+        const arg = match[1] ? match[1].trim() : null;
 
-        if (!isAdmin(userId)) {
-            bot.sendMessage(chatId, '🔒 This command is for admins only.');
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
             return;
         }
 
-        showAdminPanel(chatId);
+        if (arg) {
+            const timeZone = resolveTimeZone(arg);
+            if (!timeZone) {
+                bot.sendMessage(chatId, '❌ Unknown time zone. Use a name like `Asia/Jakarta` or `Europe/London`, or WIB, WITA or WIT.', { parse_mode: 'Markdown' });
+                return;
+            }
+            setUserPreference(userId, 'timeZone', timeZone);
+        }
+
+        const timeZone = getUserTimeZone(userId);
+        let message = arg ? `✅ Time zone set.\n\n` : `*🌍 Time Zone*\n\n`;
+        message += `Zone: *${escapeMarkdown(timeZone)}*\n`;
+        message += `Your time now: ${formatInTimeZone(new Date(), timeZone)}\n\n`;
+        message += `Digest times and quiet hours use this zone.\n`;
+        message += `• \`/timezone Asia/Jakarta\` - Set by name (or WIB, WITA, WIT)`;
+
+        bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     });
 
-    /**
-     * Shows the main admin panel
+    // Handle /quiet command - hold alerts during quiet hours (authorized users only)
+    bot.onText(/^\/quiet(?:\s+(.+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const arg = match[1] ? match[1].trim().toLowerCase() : null;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (arg === 'off') {
+            setUserPreference(userId, 'quietHours', null);
+        } else if (arg === 'urgent on' || arg === 'urgent off') {
+            setUserPreference(userId, 'quietUrgent', arg === 'urgent on');
+        } else if (arg) {
+            const quietHours = parseQuietHours(arg);
+            if (!quietHours) {
+                bot.sendMessage(chatId, '❌ Usage: `/quiet 22:00-07:00`, `/quiet off` or `/quiet urgent on|off`', { parse_mode: 'Markdown' });
+                return;
+            }
+            setUserPreference(userId, 'quietHours', quietHours);
+        }
+
+        const quietHours = getUserPreference(userId, 'quietHours', null);
+        const urgent = getUserPreference(userId, 'quietUrgent', true);
+        const queued = getUserPreference(userId, 'queuedAlerts', []).length;
+
+        let message = `*🌙 Quiet Hours*\n\n`;
+        if (quietHours) {
+            message += `✅ Quiet from *${quietHours.start}* to *${quietHours.end}* (${escapeMarkdown(getUserTimeZone(userId))})\n`;
+            if (isUserInQuietHours(userId)) {
+                const timeZone = getUserTimeZone(userId);
+                const endsAt = getQuietHoursEnd(quietHours, timeZone);
+                message += `😴 Quiet hours are on right now - held alerts go out ${formatInTimeZone(endsAt, timeZone)}\n`;
+            }
+        } else {
+            message += `❌ Quiet hours: *Off*\n`;
+        }
+        message += `🚨 Registration openings: *${urgent ? 'always sent' : 'held too'}*\n`;
+        if (queued > 0) {
+            message += `📥 ${queued} alert(s) waiting\n`;
+        }
+        message += `\nAlerts during quiet hours are held and sent when they end.\n\n`;
+        message += `• \`/quiet 22:00-07:00\` - Set quiet hours\n`;
+        message += `• \`/quiet off\` - Turn them off\n`;
+        message += `• \`/quiet urgent off\` - Hold registration openings too\n`;
+        message += `• /timezone - Set your time zone`;
+
+        bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    });
+
+    // ==================== KEYWORD SUBSCRIPTIONS ====================
+
+    /**
+     * Builds the subscriptions overview with a remove button per keyword
+     */
+    function buildSubscriptionsView(userId) {
+        const subscriptions = getUserPreference(userId, 'subscriptions', []);
+
+        if (subscriptions.length === 0) {
+            return {
+                message: '*🔑 Keyword Subscriptions*\n\n' +
+                    'You have no subscriptions, so you receive *every* new article.\n\n' +
+                    '• `/subscribe ujian` - Only articles mentioning "ujian"\n' +
+                    '• `/subscribe /seminar|ppl/` - Regex match',
+                keyboard: null
+            };
+        }
+
+        let message = `*🔑 Keyword Subscriptions (${subscriptions.length}):*\n\n`;
+        subscriptions.forEach((keyword, index) => {
+            message += `${index + 1}. \`${keyword.replace(/`/g, "'")}\``;
+            message += isSubscriptionDisabled(keyword) ? ' ⚠️ _disabled: too slow, please simplify it_\n' : '\n';
+        });
+        message += `\n_You only get new articles matching at least one of these._`;
+
+        // Buttons carry an ID of the keyword, not its position, so a stale list can't remove the wrong one
+        const buttons = subscriptions.map(keyword => [{
+            text: `➖ Remove ${keyword}`,
+            callback_data: `unsub_${getSubscriptionId(keyword)}`
+        }]);
+        buttons.push([{ text: '🗑 Remove all', callback_data: 'unsub_all' }]);
+
+        return { message, keyboard: { inline_keyboard: buttons } };
+    }
+
+    // Handle /subscribe command - add a keyword or /regex/ filter (authorized users only)
+    bot.onText(/^\/subscribe(?:\s+(.+))?$/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const arg = match[1] ? match[1].trim() : null;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (!arg) {
+            bot.sendMessage(chatId,
+                '*🔑 Subscribe to a Keyword*\n\n' +
+                '• `/subscribe ujian` - Articles mentioning "ujian"\n' +
+                '• `/subscribe /seminar|ppl/` - Regex match\n\n' +
+                '_Without subscriptions you receive every new article._',
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+
+        const parsed = parseSubscription(arg);
+        if (parsed.error) {
+            bot.sendMessage(chatId, `❌ ${parsed.error}`);
+            return;
+        }
+
+        const subscriptions = getUserPreference(userId, 'subscriptions', []);
+
+        if (subscriptions.some(k => k.toLowerCase() === arg.toLowerCase())) {
+            bot.sendMessage(chatId, `ℹ️ You are already subscribed to \`${arg.replace(/`/g, "'")}\`.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        if (subscriptions.length >= MAX_SUBSCRIPTIONS) {
+            bot.sendMessage(chatId, `❌ You can have at most ${MAX_SUBSCRIPTIONS} subscriptions. Remove one with /unsubscribe first.`);
+            return;
+        }
+
+        subscriptions.push(arg);
+        setUserPreference(userId, 'subscriptions', subscriptions);
+
+        bot.sendMessage(chatId,
+            `✅ Subscribed to \`${arg.replace(/`/g, "'")}\`.\n\n` +
+            `You'll only be notified about new articles matching your ${subscriptions.length} subscription${subscriptions.length > 1 ? 's' : ''}.`,
+            { parse_mode: 'Markdown' }
+        );
+    });
+
+    // Handle /unsubscribe command - remove a keyword, or all of them (authorized users only)
+    bot.onText(/^\/unsubscribe(?:\s+(.+))?$/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const arg = match[1] ? match[1].trim() : null;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (!arg) {
+            // Show remove buttons
+            const view = buildSubscriptionsView(userId);
+            bot.sendMessage(chatId, view.message, {
+                parse_mode: 'Markdown',
+                ...(view.keyboard ? { reply_markup: view.keyboard } : {})
+            });
+            return;
+        }
+
+        if (arg.toLowerCase() === 'all') {
+            setUserPreference(userId, 'subscriptions', []);
+            bot.sendMessage(chatId, '🗑 All subscriptions removed. You will receive every new article.');
+            return;
+        }
+
+        const subscriptions = getUserPreference(userId, 'subscriptions', []);
+        const remaining = subscriptions.filter(k => k.toLowerCase() !== arg.toLowerCase());
+
+        if (remaining.length === subscriptions.length) {
+            bot.sendMessage(chatId, `❌ You are not subscribed to \`${arg.replace(/`/g, "'")}\`. See /subscriptions.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        setUserPreference(userId, 'subscriptions', remaining);
+        bot.sendMessage(chatId, `✅ Unsubscribed from \`${arg.replace(/`/g, "'")}\`.`, { parse_mode: 'Markdown' });
+    });
+
+    // Handle /subscriptions command - list keywords (authorized users only)
+    bot.onText(/^\/subscriptions/, (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        const view = buildSubscriptionsView(userId);
+        bot.sendMessage(chatId, view.message, {
+            parse_mode: 'Markdown',
+            ...(view.keyboard ? { reply_markup: view.keyboard } : {})
+        });
+    });
+
+    // Handle subscription remove buttons
+    bot.on('callback_query', (query) => {
+        const data = query.data;
+        if (!data.startsWith('unsub_')) return;
+
+        const chatId = query.message.chat.id;
+        const messageId = query.message.message_id;
+        const userId = query.from.id;
+
+        if (!canUseBot(userId)) {
+            bot.answerCallbackQuery(query.id, { text: '🔒 Access denied' });
+            return;
+        }
+
+        const subscriptions = getUserPreference(userId, 'subscriptions', []);
+
+        if (data === 'unsub_all') {
+            setUserPreference(userId, 'subscriptions', []);
+            bot.answerCallbackQuery(query.id, { text: 'All subscriptions removed' });
+        } else {
+            const id = data.replace('unsub_', '');
+            const removed = subscriptions.find(keyword => getSubscriptionId(keyword) === id);
+            if (removed === undefined) {
+                bot.answerCallbackQuery(query.id, { text: 'Already removed' });
+            } else {
+                setUserPreference(userId, 'subscriptions', subscriptions.filter(keyword => keyword !== removed));
+                bot.answerCallbackQuery(query.id, { text: `Removed ${removed}` });
+            }
+        }
+
+        // Refresh the list
+        const view = buildSubscriptionsView(userId);
+        bot.editMessageText(view.message, {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown',
+            ...(view.keyboard ? { reply_markup: view.keyboard } : {})
+        });
+    });
+
+    // ==================== NOTIFICATION CHANNELS ====================
+
+    /**
+     * Masks a webhook URL or address so it can be shown in chat
+     */
+    function maskTarget(type, target) {
+        if (type === 'email') return target;
+        return `${target.slice(0, 30)}…`;
+    }
+
+    // Handle /channels command - choose where alerts are delivered (authorized users only)
+    bot.onText(/^\/channels(?:\s+(\S+)(?:\s+(\S+))?)?/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const type = match[1] ? match[1].toLowerCase() : null;
+        const value = match[2] || null;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        if (type === 'test') {
+            try {
+                // Sent straight away, even during quiet hours - the user is checking their setup now
+                const result = await deliverToChannels(userId, {
+                    title: '🧪 Test notification',
+                    sections: [{ items: [{ text: 'Your PAI Notifier alerts will arrive here.' }] }]
+                });
+                let message = `✅ Sent to: ${result.delivered.join(', ')}`;
+                if (result.failures.length > 0) {
+                    message += `\n❌ Failed: ${result.failures.map(f => `${f.type} (${f.error})`).join(', ')}`;
+                }
+                bot.sendMessage(chatId, message);
+            } catch (error) {
+                bot.sendMessage(chatId, `❌ Test failed: ${error.message}`);
+            }
+            return;
+        }
+
+        if (type) {
+            if (!value) {
+                bot.sendMessage(chatId, `Usage: \`/channels ${type} ${type === 'telegram' ? 'on|off' : '<address>|off'}\``, { parse_mode: 'Markdown' });
+                return;
+            }
+
+            const off = value.toLowerCase() === 'off';
+            if (type === 'telegram' && !off && value.toLowerCase() !== 'on') {
+                bot.sendMessage(chatId, 'Usage: `/channels telegram on|off`', { parse_mode: 'Markdown' });
+                return;
+            }
+            const setting = type === 'telegram' ? value.toLowerCase() === 'on' : (off ? null : value);
+
+            // Never let a user switch off every channel by accident
+            if (off && getUserChannels(userId).every(c => c.type === type)) {
+                bot.sendMessage(chatId, '⚠️ That is your only channel. Add another one before turning it off.');
+                return;
+            }
+
+            const error = setUserChannel(userId, type, setting);
+            if (error) {
+                bot.sendMessage(chatId, `❌ ${error}`);
+                return;
+            }
+        }
+
+        const settings = getUserChannelSettings(userId);
+        const enabled = getEnabledChannelTypes();
+
+        let message = '*📣 Notification Channels*\n\n';
+        enabled.forEach(channelType => {
+            const label = getChannel(channelType).label;
+            if (channelType === 'telegram') {
+                message += `${settings.telegram ? '✅' : '❌'} ${label}\n`;
+            } else if (settings[channelType]) {
+                message += `✅ ${label}: \`${maskTarget(channelType, settings[channelType])}\`\n`;
+            } else {
+                message += `❌ ${label}\n`;
+            }
+        });
+
+        message += '\nArticle, registration and exam alerts go to every ✅ channel.\n\n';
+        enabled.forEach(channelType => {
+            if (channelType === 'telegram') {
+                message += '• `/channels telegram on|off`\n';
+            } else if (channelType === 'email') {
+                message += '• `/channels email you@example.com` or `off`\n';
+            } else {
+                message += `• \`/channels ${channelType} <webhook URL>\` or \`off\`\n`;
+            }
+        });
+        message += '• `/channels test` - Send a test alert';
+
+        bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+    });
+
+    // ==================== GROUP & CHANNEL BROADCASTS ====================
+
+    /**
+     * Resolves the chat a broadcast command is about: the group it was sent in,
+     * or a channel named in a private chat (channels can't run commands)
+     */
+    async function resolveBroadcastChat(msg, target, usage) {
+        if (!isPrivateChat(msg)) return { chat: msg.chat };
+
+        if (!target) {
+            return { error: `In a group, send this command there. For a channel, name it here: \`${usage}\`` };
+        }
+
+        try {
+            return { chat: await bot.getChat(target) };
+        } catch (error) {
+            return { error: `❌ I can't see ${escapeMarkdown(target)}. Add me to it as an admin first.` };
+        }
+    }
+
+    /**
+     * Checks that the user administers the chat and that the bot may post in it
+     * @returns {Promise<string|null>} Problem to report, or null if allowed
+     */
+    async function checkBroadcastPermissions(chat, userId) {
+        try {
+            const member = await bot.getChatMember(chat.id, userId);
+            if (!['creator', 'administrator'].includes(member.status)) {
+                return '🔒 Only admins of this chat can change its subscription.';
+            }
+
+            if (chat.type === 'channel') {
+                const me = await bot.getMe();
+                const self = await bot.getChatMember(chat.id, me.id);
+                if (self.status !== 'administrator' || self.can_post_messages === false) {
+                    return '❌ I need to be a channel admin allowed to post messages.';
+                }
+            }
+        } catch (error) {
+            return `❌ Couldn't check chat permissions: ${error.message}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Describes a chat's topic filter
+     */
+    function describeChatTopics(topics) {
+        return topics.length === 0
+            ? 'all topics'
+            : topics.map(id => escapeMarkdown(getTopicInfo(id).label)).join(', ');
+    }
+
+    // Handle /subscribegroup command - register a group or channel for broadcasts (chat admins who are authorized users)
+    bot.onText(/^\/subscribegroup(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const args = match[1] ? match[1].trim().split(/\s+/) : [];
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        // In a private chat without arguments, list the chats this user registered
+        if (isPrivateChat(msg) && args.length === 0) {
+            const mine = getChatSubscriptions().filter(sub => sub.addedBy === String(userId));
+            let message = '*📢 Group & Channel Broadcasts*\n\n';
+            message += mine.length === 0
+                ? 'You haven\'t subscribed any chats yet.\n'
+                : mine.map(sub => `• ${escapeMarkdown(sub.title || sub.chatId)} - ${describeChatTopics(sub.topics)}`).join('\n') + '\n';
+            message += '\n• In a group: `/subscribegroup [topics]`\n';
+            message += '• For a channel: `/subscribegroup @channel [topics]`\n';
+            message += '• Stop with /unsubscribegroup\n';
+            message += `\nTopics: ${getTopicRules().topics.map(t => `\`${t.id}\``).join(', ')} or \`all\``;
+            bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const target = isPrivateChat(msg) ? args.shift() : null;
+        const resolved = await resolveBroadcastChat(msg, target, '/subscribegroup @channel [topics]');
+        if (resolved.error) {
+            bot.sendMessage(chatId, resolved.error, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const chat = resolved.chat;
+        const problem = await checkBroadcastPermissions(chat, userId);
+        if (problem) {
+            bot.sendMessage(chatId, problem);
+            return;
+        }
+
+        // Topic filter: the given topic IDs, `all`, or unchanged
+        const existing = getChatSubscription(chat.id);
+        let topics = existing ? existing.topics : [];
+        if (args.length > 0) {
+            const ids = args.map(arg => arg.toLowerCase().replace(/,$/, ''));
+            const known = getTopicRules().topics.map(topic => topic.id);
+            const unknown = ids.filter(id => id !== 'all' && !known.includes(id));
+
+            if (unknown.length > 0) {
+                bot.sendMessage(chatId, `❌ Unknown topic(s): ${unknown.join(', ')}\nAvailable: ${known.join(', ')}, all`);
+                return;
+            }
+            topics = ids.includes('all') ? [] : ids;
+        }
+
+        // Only articles detected from now on are broadcast
+        ensureDeliveryRecord(chat.id);
+        setChatSubscription(chat.id, {
+            title: chat.title || chat.username || String(chat.id),
+            type: chat.type,
+            topics,
+            addedBy: existing ? existing.addedBy : String(userId)
+        });
+
+        console.log(`[${new Date().toISOString()}] Chat ${chat.id} (${chat.title || chat.username}) subscribed by user ${userId}`);
+        bot.sendMessage(chatId,
+            `✅ *${escapeMarkdown(chat.title || chat.username || String(chat.id))}* ${existing ? 'updated' : 'subscribed'}.\n\n` +
+            `It gets new articles on ${describeChatTopics(topics)} and a notice when exam registration opens.`,
+            { parse_mode: 'Markdown' }
+        );
+    });
+
+    // Handle /unsubscribegroup command - stop broadcasts to a group or channel (chat admins only)
+    bot.onText(/^\/unsubscribegroup(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        const resolved = await resolveBroadcastChat(msg, match[1] || null, '/unsubscribegroup @channel');
+        if (resolved.error) {
+            bot.sendMessage(chatId, resolved.error, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const chat = resolved.chat;
+        if (!getChatSubscription(chat.id)) {
+            bot.sendMessage(chatId, 'This chat isn\'t subscribed.');
+            return;
+        }
+
+        const problem = await checkBroadcastPermissions(chat, userId);
+        if (problem) {
+            bot.sendMessage(chatId, problem);
+            return;
+        }
+
+        removeChatSubscription(chat.id);
+        console.log(`[${new Date().toISOString()}] Chat ${chat.id} unsubscribed by user ${userId}`);
+        bot.sendMessage(chatId, '🔕 Broadcasts stopped for this chat.');
+    });
+
+    // Drop the subscription when the bot is removed from a group or channel
+    bot.on('my_chat_member', (update) => {
+        const status = update.new_chat_member && update.new_chat_member.status;
+        if (!['left', 'kicked'].includes(status)) return;
+
+        if (getChatSubscription(update.chat.id)) {
+            removeChatSubscription(update.chat.id);
+            console.log(`[${new Date().toISOString()}] Removed from chat ${update.chat.id} - subscription dropped`);
+        }
+    });
+
+    // ==================== TOPIC FILTERS ====================
+
+    /**
+     * Builds the topic picker with a toggle button per topic
+     */
+    function buildTopicsView(userId) {
+        const chosen = getUserPreference(userId, 'topics', []);
+        const topics = getTopicRules().topics;
+
+        let message = '*🏷 Topic Filter*\n\n';
+        message += chosen.length === 0
+            ? 'You receive articles on *all* topics. Tap topics to only get those.'
+            : `You only receive: ${chosen.map(id => escapeMarkdown(getTopicInfo(id).label)).join(', ')}`;
+
+        const buttons = topics.map(topic => [{
+            text: `${chosen.includes(topic.id) ? '✅' : '⬜'} ${topic.emoji || ''} ${topic.label || topic.id}`.replace(/\s+/g, ' '),
+            callback_data: `topic_toggle_${topic.id}`
+        }]);
+        buttons.push([{ text: '🔄 All topics', callback_data: 'topic_all' }]);
+
+        return { message, keyboard: { inline_keyboard: buttons } };
+    }
+
+    // Handle /topics command - pick topics to be notified about (authorized users only)
+    bot.onText(/^\/topics/, (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        if (!canUseBot(userId)) {
+            bot.sendMessage(chatId, '🔒 Access denied. Send /start to request access.');
+            return;
+        }
+
+        const view = buildTopicsView(userId);
+        bot.sendMessage(chatId, view.message, {
+            parse_mode: 'Markdown',
+            reply_markup: view.keyboard
+        });
+    });
+
+    // Handle topic toggle buttons
+    bot.on('callback_query', (query) => {
+        const data = query.data;
+        if (!data.startsWith('topic_')) return;
+
+        const chatId = query.message.chat.id;
+        const messageId = query.message.message_id;
+        const userId = query.from.id;
+
+        if (!canUseBot(userId)) {
+            bot.answerCallbackQuery(query.id, { text: '🔒 Access denied' });
+            return;
+        }
+
+        if (data === 'topic_all') {
+            setUserPreference(userId, 'topics', []);
+        } else {
+            const topicId = data.replace('topic_toggle_', '');
+            const chosen = getUserPreference(userId, 'topics', []);
+            const updated = chosen.includes(topicId)
+                ? chosen.filter(id => id !== topicId)
+                : [...chosen, topicId];
+            setUserPreference(userId, 'topics', updated);
+        }
+
+        bot.answerCallbackQuery(query.id);
+
+        const view = buildTopicsView(userId);
+        bot.editMessageText(view.message, {
+            chat_id: chatId,
+            message_id: messageId,
+            parse_mode: 'Markdown',
+            reply_markup: view.keyboard
+        });
+    });
+
+    // Handle /topicrules command - validate the rules file and reclassify the archive (admin only)
+    bot.onText(/^\/topicrules(?:\s+(.+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const arg = match[1] ? match[1].trim().toLowerCase() : null;
+
+        if (!isAdmin(userId)) {
+            bot.sendMessage(chatId, '🔒 This command is for admins only.');
+            return;
+        }
+
+        // Make sure the file exists so there is something to edit
+        getTopicRules();
+        const rules = loadTopicRules();
+        const errors = rules.error ? [`Invalid JSON: ${rules.error}`] : validateTopicRules(rules);
+
+        if (arg === 'reload') {
+            if (errors.length > 0) {
+                bot.sendMessage(chatId, `❌ Fix the rules file first:\n\n${errors.join('\n')}`);
+                return;
+            }
+
+            const changed = reclassifyArchive();
+            bot.sendMessage(chatId, `✅ Rules reloaded. ${changed} archived article(s) changed topic.`);
+            return;
+        }
+
+        let message = `*🏷 Topic Rules*\n\nFile: \`${getTopicRulesPath()}\`\n\n`;
+
+        if (errors.length > 0) {
+            message += `❌ *Problems (defaults in use):*\n${errors.map(e => `• ${escapeMarkdown(e)}`).join('\n')}\n\n`;
+        } else {
+            rules.topics.forEach(topic => {
+                const count = (topic.keywords || []).length + (topic.patterns || []).length;
+                message += `${topic.emoji || '📰'} *${escapeMarkdown(topic.label || topic.id)}* (\`${topic.id}\`) - ${count} rule(s)\n`;
+            });
+            message += '\n';
+        }
+
+        message += `_Edit the file, then send_ \`/topicrules reload\` _to re-classify the archive._`;
+
+        bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+    });
+
+    // Handle /rotatekey command - re-encrypt stored passwords with the current key (admin only)
+    bot.onText(/^\/rotatekey/, (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        if (!isAdmin(userId)) {
+            bot.sendMessage(chatId, '🔒 This command is for admins only.');
+            return;
+        }
+
+        if (!isEncryptionConfigured()) {
+            bot.sendMessage(chatId, '❌ CREDENTIALS_KEY is not set.');
+            return;
+        }
+
+        try {
+            const result = reencryptAllPasswords();
+            let message = `🔑 *Key Rotation*\n\n✅ Re-encrypted ${result.updated} password(s) with the current key.`;
+
+            if (result.unreadable.length > 0) {
+                message += `\n\n⚠️ ${result.unreadable.length} password(s) could not be decrypted with any configured key ` +
+                    `(users: ${result.unreadable.map(uid => `\`${uid}\``).join(', ')}). They need to run /setpai again.`;
+            } else {
+                message += `\n\nYou can now remove the old key from \`CREDENTIALS_PREVIOUS_KEYS\`.`;
+            }
+
+            bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('Error rotating credentials key:', error);
+            bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+        }
+    });
+
+    // Handle /backfill command - start, resume or check the archive crawl (admin only)
+    bot.onText(/^\/backfill(?:\s+(\S+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const arg = match[1] ? match[1].toLowerCase() : null;
+
+        if (!isAdmin(userId)) {
+            bot.sendMessage(chatId, '🔒 This command is for admins only.');
+            return;
+        }
+
+        if (arg && !['status', 'restart'].includes(arg)) {
+            bot.sendMessage(chatId, '❌ Usage: `/backfill`, `/backfill status` or `/backfill restart`', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const progress = getBackfillProgress();
+        if (arg === 'status' || (progress && progress.running)) {
+            bot.sendMessage(chatId, formatBackfillProgress(progress), { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const run = startBackfill({ restart: arg === 'restart' });
+        const started = run.resumed ? '▶️ Backfill resumed from its checkpoint.' : '▶️ Backfill started.';
+        bot.sendMessage(chatId, `${started} Send \`/backfill status\` for progress.`, { parse_mode: 'Markdown' });
+
+        run.promise.then(final => {
+            bot.sendMessage(chatId, formatBackfillProgress(final), { parse_mode: 'Markdown' });
+        });
+    });
+
+    // ==================== ADMIN PANEL WITH INLINE KEYBOARDS ====================
+
+    // Handle /admin command - shows admin panel with inline buttons
+    bot.onText(/\/admin/, (msg) => {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+
+        if (!isAdmin(userId)) {
+            bot.sendMessage(chatId, '🔒 This command is for admins only.');
+            return;
+        }
+
+        showAdminPanel(chatId);
+    });
+
+    /**
+     * Shows the main admin panel
      */
     function showAdminPanel(chatId, messageId = null) {
         const requests = getAccessRequests();
@@ -885,6 +2169,10 @@ What would you like to do?`;
         }
         else if (data.startsWith('admin_grant_')) {
             const targetUserId = data.replace('admin_grant_', '');
+            const request = getAccessRequests().find(r => r.userId === targetUserId);
+            if (request) {
+                setUserPreference(targetUserId, 'profile', { name: request.name, username: request.username });
+            }
             addAllowedUser(targetUserId);
             removeAccessRequest(targetUserId);
 
@@ -916,10 +2204,23 @@ What would you like to do?`;
         { command: 'start', description: 'Start the bot / Request access' },
         { command: 'check', description: 'Check for new articles now' },
         { command: 'latest', description: 'Show the 5 latest articles' },
+        { command: 'search', description: 'Search archived articles' },
         { command: 'examstatus', description: 'Check PAI exam status' },
+        { command: 'examwatch', description: 'Toggle automatic exam status alerts' },
+        { command: 'examcal', description: 'Export exam dates as a calendar (.ics)' },
         { command: 'checkreg', description: 'Check if registration is open' },
+        { command: 'watchsubject', description: 'Get alerted when a subject opens for registration' },
         { command: 'setpai', description: 'Set PAI login credentials' },
-        { command: 'reminder', description: 'Set your notification interval' },
+        { command: 'reminder', description: 'Set your check interval, schedule or digest' },
+        { command: 'quiet', description: 'Set quiet hours' },
+        { command: 'timezone', description: 'Set your time zone' },
+        { command: 'subscribe', description: 'Filter notifications by keyword' },
+        { command: 'subscriptions', description: 'List or remove your keywords' },
+        { command: 'topics', description: 'Choose article topics' },
+        { command: 'updates', description: 'Notices when articles are edited or removed' },
+        { command: 'channels', description: 'Email, Discord or Slack alerts' },
+        { command: 'subscribegroup', description: 'Broadcast news to a group or channel' },
+        { command: 'unsubscribegroup', description: 'Stop broadcasts to a group or channel' },
         { command: 'status', description: 'Bot status info' },
         { command: 'help', description: 'Show help message' }
     ]).then(() => {
@@ -928,52 +2229,78 @@ What would you like to do?`;
         console.error('Failed to set bot commands:', err.message);
     });
 
-    console.log('Telegram bot initialized and listening for commands...');
+    if (webhookMode) {
+        await startWebhook(bot);
+    } else {
+        // getUpdates is refused while a webhook is set, e.g. after switching modes
+        try {
+            await bot.deleteWebHook();
+        } catch (error) {
+            console.error('Failed to clear webhook before polling:', error.message);
+        }
+        await bot.startPolling();
+    }
+
+    console.log(`Telegram bot initialized and listening for commands (${webhookMode ? 'webhook' : 'polling'})...`);
     return bot;
 }
 
+/**
+ * Stops receiving updates: removes the webhook or stops polling
+ * @returns {Promise<void>}
+ */
+async function stopBot() {
+    if (!bot) return;
+
+    if (isWebhookMode()) {
+        await stopWebhook(bot);
+    } else {
+        await bot.stopPolling();
+    }
+}
+
 /**
  * Escapes special markdown characters
+ * Messages use legacy Markdown, where only these four can be escaped;
+ * a backslash before anything else is shown literally.
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
 function escapeMarkdown(text) {
-    return text.replace(/[_*[\]()~`>#+=|{}.!-]/g, '\\$&');
+    return String(text).replace(/[_*`[]/g, '\\$&');
 }
 
 /**
- * Sends notification about new articles to the configured chat
+ * Sends notification about new articles to a Telegram chat
+ * Articles are grouped under their primary topic.
  * @param {string} chatId - Telegram chat ID
  * @param {Array} articles - Array of new article objects
  */
 async function sendNewArticlesNotification(chatId, articles) {
-    let message = `🔔 *${articles.length} New Article${articles.length > 1 ? 's' : ''} on PAI Website!*\n\n`;
-
-    articles.forEach((article, index) => {
-        message += `${index + 1}. [${escapeMarkdown(article.title)}](${article.url})\n\n`;
-    });
-
-    message += `_Check it out on aktuaris.or.id_`;
-
-    await bot.sendMessage(chatId, message, {
+    await bot.sendMessage(chatId, renderTelegramAlert(buildArticleAlert(articles)), {
         parse_mode: 'Markdown',
         disable_web_page_preview: true
     });
 }
 
 /**
- * Sends notification to the configured chat ID from environment
- * @param {Array} articles - Array of new article objects
+ * Sends an alert to the admin chat (ADMIN_CHAT_ID), optionally with a file
+ * @param {Object} alert - Alert
+ * @param {string|null} filePath - File to attach (e.g. an HTML snapshot)
+ * @returns {Promise<boolean>} False if there is no bot or admin chat
  */
-async function notifyConfiguredChat(articles) {
-    const chatId = process.env.TELEGRAM_CHAT_ID;
+async function sendAdminAlert(alert, filePath = null) {
+    const adminId = getAdminChatId();
+    if (!bot || !adminId) return false;
 
-    if (!chatId) {
-        console.warn('TELEGRAM_CHAT_ID not set. Skipping notification.');
-        return;
+    await bot.sendMessage(adminId, renderTelegramAlert(alert), {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+    });
+    if (filePath) {
+        await bot.sendDocument(adminId, filePath);
     }
-
-    await sendNewArticlesNotification(chatId, articles);
+    return true;
 }
 
 /**
@@ -986,7 +2313,9 @@ function getBot() {
 
 module.exports = {
     initBot,
+    stopBot,
     getBot,
-    notifyConfiguredChat,
-    sendNewArticlesNotification
+    escapeMarkdown,
+    sendNewArticlesNotification,
+    sendAdminAlert
 };
@@ -0,0 +1,134 @@
+/**
+ * Time zone helpers built on Intl, so schedules and quiet hours follow the
+ * user's wall clock (including DST changes) regardless of the server's zone
+ */
+
+// Common Indonesian abbreviations
+const ZONE_ALIASES = {
+    wib: 'Asia/Jakarta',
+    wita: 'Asia/Makassar',
+    wit: 'Asia/Jayapura'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Gets the time zone for users who haven't chosen one
+ * @returns {string} DEFAULT_TIMEZONE, or the server's zone
+ */
+function getDefaultTimeZone() {
+    return process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Resolves a user-given time zone name
+ * @param {string} text - IANA name such as "Asia/Jakarta", or WIB/WITA/WIT
+ * @returns {string|null} Canonical IANA name, or null if unknown
+ */
+function resolveTimeZone(text) {
+    const name = String(text || '').trim();
+    if (!name) return null;
+
+    const zone = ZONE_ALIASES[name.toLowerCase()] || name;
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Splits a moment into wall-clock parts in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ *          Parts (month 1-12, weekday 0-6 Sunday first)
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * Gets a time zone's UTC offset at a moment
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getOffsetMs(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    return wallClock - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a moment
+ * Out-of-range days roll over (day 0 is the last day of the previous month).
+ * A time repeated when the clocks go back gives its first occurrence; a time
+ * skipped when they go forward gives the moment it would have been had the
+ * clocks not changed (02:30 becomes 03:30).
+ * @param {number} year - Year
+ * @param {number} month - Month 1-12
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour 0-23
+ * @param {number} minute - Minute
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Moment
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offsets a day either side are clear of any DST change on this day
+    const candidates = [wallClock - 86400000, wallClock + 86400000]
+        .map(moment => wallClock - getOffsetMs(new Date(moment), timeZone));
+    const valid = candidates.filter(time => wallClock - time === getOffsetMs(new Date(time), timeZone));
+
+    return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+}
+
+/**
+ * Formats a moment for display in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} E.g. "Mon, 20 Oct 2026, 08:00"
+ */
+function formatInTimeZone(date, timeZone) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).format(date);
+}
+
+module.exports = {
+    getDefaultTimeZone,
+    resolveTimeZone,
+    getZonedParts,
+    zonedTimeToDate,
+    formatInTimeZone
+};
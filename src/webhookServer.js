@@ -0,0 +1,161 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Telegram updates are small; anything bigger is not from Telegram
+const MAX_BODY_BYTES = 1024 * 1024;
+
+let server = null;
+
+/**
+ * Checks if the bot should receive updates by webhook instead of polling
+ * @returns {boolean} True if TELEGRAM_MODE=webhook
+ */
+function isWebhookMode() {
+    return (process.env.TELEGRAM_MODE || 'polling').toLowerCase() === 'webhook';
+}
+
+/**
+ * Reads and validates the webhook configuration
+ * WEBHOOK_URL is the public HTTPS URL Telegram posts to (its path is also the
+ * local path); WEBHOOK_SECRET is echoed back by Telegram in a header.
+ * @returns {{url: string, path: string, secret: string, port: number, host: string}} Config
+ */
+function getWebhookConfig() {
+    const url = process.env.WEBHOOK_URL;
+    const secret = process.env.WEBHOOK_SECRET;
+
+    if (!url || !secret) {
+        throw new Error('TELEGRAM_MODE=webhook needs WEBHOOK_URL and WEBHOOK_SECRET');
+    }
+
+    // Telegram only accepts 1-256 characters from this set as secret_token
+    if (!/^[A-Za-z0-9_-]{1,256}$/.test(secret)) {
+        throw new Error('WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (max 256 characters)');
+    }
+
+    return {
+        url,
+        path: new URL(url).pathname,
+        secret,
+        port: parseInt(process.env.WEBHOOK_PORT) || 8082,
+        host: process.env.WEBHOOK_HOST || '0.0.0.0'
+    };
+}
+
+/**
+ * Compares the secret header in constant time
+ * @param {string} given - Header value
+ * @param {string} secret - Configured secret
+ * @returns {boolean} True if they match
+ */
+function isValidSecret(given, secret) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(secret);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Handles a webhook request and hands the update to the bot
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {TelegramBot} bot - Bot instance
+ * @param {Object} config - Webhook config
+ */
+function handleRequest(req, res, bot, config) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    if (req.method !== 'POST' || pathname !== config.path) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    if (!isValidSecret(req.headers['x-telegram-bot-api-secret-token'], config.secret)) {
+        console.warn(`[${new Date().toISOString()}] Rejected webhook request with a wrong secret from ${req.socket.remoteAddress}`);
+        res.writeHead(401);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES && !tooLarge) {
+            tooLarge = true;
+            res.writeHead(413);
+            res.end();
+            req.destroy();
+        }
+    });
+
+    req.on('end', () => {
+        if (tooLarge) return;
+
+        let update;
+        try {
+            update = JSON.parse(body);
+        } catch (error) {
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+
+        // Acknowledge first - Telegram retries updates that aren't answered quickly
+        res.writeHead(200);
+        res.end();
+
+        try {
+            bot.processUpdate(update);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Error processing update ${update.update_id}:`, error.message);
+        }
+    });
+}
+
+/**
+ * Starts the webhook listener and registers the webhook with Telegram
+ * @param {TelegramBot} bot - Bot instance created without polling
+ * @returns {Promise<void>}
+ */
+async function startWebhook(bot) {
+    const config = getWebhookConfig();
+
+    server = http.createServer((req, res) => handleRequest(req, res, bot, config));
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, config.host, resolve);
+    });
+    console.log(`🪝 Webhook listener on ${config.host}:${config.port}${config.path}`);
+
+    await bot.setWebHook(config.url, { secret_token: config.secret });
+    console.log(`🪝 Webhook registered with Telegram: ${config.url}`);
+}
+
+/**
+ * Removes the webhook from Telegram and stops the listener
+ * Pending updates stay queued at Telegram for the next start.
+ * @param {TelegramBot} bot - Bot instance
+ * @returns {Promise<void>}
+ */
+async function stopWebhook(bot) {
+    try {
+        await bot.deleteWebHook();
+        console.log('🪝 Webhook removed from Telegram');
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] Failed to delete webhook:`, error.message);
+    }
+
+    if (server) {
+        await new Promise(resolve => server.close(() => resolve()));
+        server = null;
+    }
+}
+
+module.exports = {
+    isWebhookMode,
+    getWebhookConfig,
+    startWebhook,
+    stopWebhook
+};
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, summarizeEdit, findRemovedArticles, selectRemovalChecks } = require('../src/articleChanges');
+
+/**
+ * Builds listing or archive entries from IDs
+ * @param {Array<number>} ids - Article IDs
+ * @returns {Array<{id: string}>} Articles
+ */
+function articles(ids) {
+    return ids.map(id => ({ id: String(id), title: `Article ${id}` }));
+}
+
+// ==================== LINE DIFF ====================
+
+test('identical texts have no changes', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nb\nc'), []);
+});
+
+test('a changed line reads old then new', () => {
+    assert.deepEqual(diffLines('Ujian: 12 Mei\nLokasi: Jakarta', 'Ujian: 19 Mei\nLokasi: Jakarta'), [
+        { type: '-', text: 'Ujian: 12 Mei' },
+        { type: '+', text: 'Ujian: 19 Mei' }
+    ]);
+});
+
+test('lists added and removed lines in order', () => {
+    assert.deepEqual(diffLines('a\nb\nc\nd', 'a\nc\nd\ne'), [
+        { type: '-', text: 'b' },
+        { type: '+', text: 'e' }
+    ]);
+    assert.deepEqual(diffLines('a\nc', 'a\nb\nc'), [{ type: '+', text: 'b' }]);
+});
+
+test('keeps unchanged lines between changes out of the diff', () => {
+    assert.deepEqual(diffLines('x\nsame\ny', 'x2\nsame\ny2'), [
+        { type: '-', text: 'x' },
+        { type: '+', text: 'x2' },
+        { type: '-', text: 'y' },
+        { type: '+', text: 'y2' }
+    ]);
+});
+
+test('handles empty and missing texts', () => {
+    assert.deepEqual(diffLines('', 'a'), [{ type: '-', text: '' }, { type: '+', text: 'a' }]);
+    assert.deepEqual(diffLines(null, undefined), []);
+    assert.deepEqual(diffLines('a\nb', ''), [
+        { type: '-', text: 'a' },
+        { type: '-', text: 'b' },
+        { type: '+', text: '' }
+    ]);
+});
+
+test('only compares the first 1000 lines', () => {
+    const long = Array.from({ length: 1500 }, (value, i) => `line ${i}`).join('\n');
+    assert.deepEqual(diffLines(long, `${long}\nextra`), []);
+});
+
+// ==================== EDIT SUMMARY ====================
+
+test('summaries start with a title change and skip blank lines', () => {
+    const summary = summarizeEdit(
+        { title: 'Jadwal Ujian', body: 'Tanggal: 12 Mei\n\nTempat: Jakarta' },
+        { title: 'Jadwal Ujian (Revisi)', body: 'Tanggal: 19 Mei\n\n\nTempat: Jakarta' }
+    );
+
+    assert.deepEqual(summary.lines, [
+        { type: '-', text: 'Title: Jadwal Ujian' },
+        { type: '+', text: 'Title: Jadwal Ujian (Revisi)' },
+        { type: '-', text: 'Tanggal: 12 Mei' },
+        { type: '+', text: 'Tanggal: 19 Mei' }
+    ]);
+    assert.equal(summary.more, 0);
+});
+
+test('summaries are capped in lines and line length', () => {
+    const before = Array.from({ length: 10 }, (value, i) => `old ${i} ${'x'.repeat(200)}`).join('\n');
+    const after = Array.from({ length: 10 }, (value, i) => `new ${i}`).join('\n');
+    const summary = summarizeEdit({ title: 'T', body: before }, { title: 'T', body: after });
+
+    assert.equal(summary.lines.length, 8);
+    assert.equal(summary.more, 12);
+    assert.ok(summary.lines.every(line => line.text.length <= 160));
+    assert.ok(summary.lines[0].text.endsWith('…'));
+});
+
+// ==================== REMOVALS ====================
+
+test('finds archived articles missing from the range of the first page', () => {
+    const listing = articles([950, 940, 930, 920]);
+    const archived = articles([960, 945, 935, 920, 910]);
+
+    assert.deepEqual(findRemovedArticles(listing, archived).map(article => article.id), ['960', '945', '935']);
+});
+
+test('skips articles already marked removed', () => {
+    const archived = [{ id: '945', removedAt: '2026-10-01T00:00:00.000Z' }];
+    assert.deepEqual(findRemovedArticles(articles([950, 940]), archived), []);
+});
+
+test('an old article on the page stretches the range down to it', () => {
+    // Callers check each candidate's page, since 915 may just be on the next page
+    const listing = articles([950, 940, 930, 100]);
+    const archived = articles([945, 915, 90]);
+
+    assert.deepEqual(findRemovedArticles(listing, archived).map(article => article.id), ['945', '915']);
+});
+
+test('an empty listing finds nothing', () => {
+    assert.deepEqual(findRemovedArticles([], articles([950])), []);
+});
+
+test('pages confirmed live recently are not checked again', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const missing = [
+        { id: '945', liveCheckedAt: '2026-10-18T10:00:00.000Z' },
+        { id: '935', liveCheckedAt: '2026-10-17T12:00:00.000Z' },
+        { id: '925' }
+    ];
+
+    assert.deepEqual(selectRemovalChecks(missing, now).map(article => article.id), ['925', '935']);
+});
+
+test('removal checks take turns, least recently checked first', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const missing = Array.from({ length: 8 }, (value, i) => ({
+        id: String(900 + i),
+        liveCheckedAt: `2026-10-0${i + 1}T00:00:00.000Z`
+    }));
+
+    assert.deepEqual(selectRemovalChecks(missing, now).map(article => article.id), ['900', '901', '902', '903', '904']);
+});
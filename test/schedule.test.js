@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCronExpression, parseSchedule, getNextRun } = require('../src/schedule');
+
+/**
+ * Lists the next runs of a schedule
+ * @param {Array<string>} expressions - Cron expressions
+ * @param {string} timeZone - Time zone
+ * @param {string} after - ISO start of the search
+ * @param {number} count - Runs to list
+ * @returns {Array<string>} ISO times
+ */
+function nextRuns(expressions, timeZone, after, count) {
+    const runs = [];
+    let previous = new Date(after);
+    for (let i = 0; i < count; i++) {
+        previous = getNextRun({ expressions }, timeZone, previous);
+        runs.push(previous ? previous.toISOString() : null);
+    }
+    return runs;
+}
+
+// ==================== CRON PARSER ====================
+
+test('parses lists, ranges and steps', () => {
+    const fields = parseCronExpression('*/15 8,17 1-3 * *');
+
+    assert.deepEqual([...fields.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...fields.hour], [8, 17]);
+    assert.deepEqual([...fields.day], [1, 2, 3]);
+    assert.equal(fields.month.size, 12);
+});
+
+test('accepts weekday names and ranges such as mon-fri', () => {
+    assert.deepEqual([...parseCronExpression('0 8 * * mon-fri').weekday], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...parseCronExpression('0 8 * * sat,sun').weekday].sort(), [0, 6]);
+});
+
+test('treats weekday 7 as Sunday', () => {
+    assert.deepEqual([...parseCronExpression('0 8 * * 7').weekday], [0]);
+    assert.deepEqual([...parseCronExpression('0 8 * * 5-7').weekday].sort(), [0, 5, 6]);
+});
+
+test('accepts month names', () => {
+    assert.deepEqual([...parseCronExpression('0 8 1 jan,jul *').month], [1, 7]);
+});
+
+test('rejects malformed expressions', () => {
+    assert.equal(parseCronExpression('0 8 * *'), null);
+    assert.equal(parseCronExpression('60 8 * * *'), null);
+    assert.equal(parseCronExpression('0 24 * * *'), null);
+    assert.equal(parseCronExpression('0 8 * * 8'), null);
+    assert.equal(parseCronExpression('0 8 5-1 * *'), null);
+    assert.equal(parseCronExpression('0 8 * * funday'), null);
+    assert.equal(parseCronExpression('*/0 * * * *'), null);
+});
+
+// ==================== NEXT RUN ====================
+
+test('finds the next run in the user\'s time zone', () => {
+    // 08:00 in Jakarta is 01:00 UTC
+    assert.deepEqual(nextRuns(['0 8 * * *'], 'Asia/Jakarta', '2026-10-18T02:00:00Z', 2), [
+        '2026-10-19T01:00:00.000Z',
+        '2026-10-20T01:00:00.000Z'
+    ]);
+});
+
+test('runs strictly after the start of the search', () => {
+    assert.equal(getNextRun({ expressions: ['0 8 * * *'] }, 'UTC', new Date('2026-10-18T08:00:00Z')).toISOString(),
+        '2026-10-19T08:00:00.000Z');
+});
+
+test('mon-fri skips the weekend', () => {
+    // 2026-10-16 is a Friday
+    assert.deepEqual(nextRuns(['0 9 * * mon-fri'], 'UTC', '2026-10-16T10:00:00Z', 2), [
+        '2026-10-19T09:00:00.000Z',
+        '2026-10-20T09:00:00.000Z'
+    ]);
+});
+
+test('weekday 7 runs on Sunday', () => {
+    assert.equal(getNextRun({ expressions: ['0 9 * * 7'] }, 'UTC', new Date('2026-10-18T10:00:00Z')).toISOString(),
+        '2026-10-25T09:00:00.000Z');
+});
+
+test('matches either day or weekday when both are restricted', () => {
+    // The 1st of the month or any Monday: Mon 19 Oct, Mon 26 Oct, Sun 1 Nov
+    assert.deepEqual(nextRuns(['0 9 1 * mon'], 'UTC', '2026-10-18T00:00:00Z', 3), [
+        '2026-10-19T09:00:00.000Z',
+        '2026-10-26T09:00:00.000Z',
+        '2026-11-01T09:00:00.000Z'
+    ]);
+});
+
+test('the earliest of several expressions wins', () => {
+    assert.equal(getNextRun({ expressions: ['0 17 * * *', '30 8 * * *'] }, 'UTC', new Date('2026-10-18T00:00:00Z')).toISOString(),
+        '2026-10-18T08:30:00.000Z');
+});
+
+test('29 February is found in the next leap year', () => {
+    assert.equal(getNextRun({ expressions: ['0 0 29 2 *'] }, 'UTC', new Date('2026-01-01T00:00:00Z')).toISOString(),
+        '2028-02-29T00:00:00.000Z');
+});
+
+test('an impossible date such as 31 February never runs', () => {
+    assert.equal(getNextRun({ expressions: ['0 0 31 2 *'] }, 'UTC', new Date('2026-01-01T00:00:00Z')), null);
+    assert.equal(getNextRun({ expressions: ['0 0 31 4,6,9,11 *'] }, 'UTC', new Date('2026-01-01T00:00:00Z')), null);
+});
+
+// ==================== DAYLIGHT SAVING ====================
+
+test('a time skipped when clocks go forward runs after the jump, once', () => {
+    // New York skips 02:00-03:00 on 8 March 2026; 02:30 EST would be 03:30 EDT (07:30 UTC)
+    assert.deepEqual(nextRuns(['30 2 * * *'], 'America/New_York', '2026-03-07T12:00:00Z', 3), [
+        '2026-03-08T07:30:00.000Z',
+        '2026-03-09T06:30:00.000Z',
+        '2026-03-10T06:30:00.000Z'
+    ]);
+});
+
+test('a time repeated when clocks go back runs once, at its first occurrence', () => {
+    // New York repeats 01:00-02:00 on 1 November 2026 (EDT first, then EST)
+    assert.deepEqual(nextRuns(['30 1 * * *'], 'America/New_York', '2026-10-31T12:00:00Z', 2), [
+        '2026-11-01T05:30:00.000Z',
+        '2026-11-02T06:30:00.000Z'
+    ]);
+});
+
+test('local times keep their wall-clock hour across a DST change', () => {
+    // 08:00 in Berlin is 06:00 UTC in summer and 07:00 UTC in winter (change on 25 October 2026)
+    assert.deepEqual(nextRuns(['0 8 * * *'], 'Europe/Berlin', '2026-10-24T00:00:00Z', 3), [
+        '2026-10-24T06:00:00.000Z',
+        '2026-10-25T07:00:00.000Z',
+        '2026-10-26T07:00:00.000Z'
+    ]);
+});
+
+test('hourly runs stay an hour apart through the repeated hour', () => {
+    const runs = nextRuns(['0 * * * *'], 'America/New_York', '2026-11-01T03:30:00Z', 4);
+    const gaps = runs.slice(1).map((run, i) => new Date(run) - new Date(runs[i]));
+
+    assert.ok(gaps.every(gap => gap > 0), `runs go backwards: ${runs.join(', ')}`);
+    assert.equal(new Set(runs).size, runs.length);
+});
+
+// ==================== SCHEDULES ====================
+
+test('parses several cron expressions separated by semicolons', () => {
+    const { schedule, error } = parseSchedule('0 8 * * 1-5; 0 10 * * 0,6', 'UTC');
+
+    assert.equal(error, null);
+    assert.deepEqual(schedule.expressions, ['0 8 * * 1-5', '0 10 * * 0,6']);
+});
+
+test('converts phrases to cron expressions', () => {
+    assert.deepEqual(parseSchedule('weekdays 08:00,17:30', 'UTC').schedule.expressions,
+        ['0 8 * * 1-5', '30 17 * * 1-5']);
+    assert.deepEqual(parseSchedule('mon-fri 08:00', 'UTC').schedule.expressions, ['0 8 * * 1,2,3,4,5']);
+    assert.deepEqual(parseSchedule('weekends 10:00', 'UTC').schedule.expressions, ['0 10 * * 0,6']);
+    assert.deepEqual(parseSchedule('08:00', 'UTC').schedule.expressions, ['0 8 * * *']);
+});
+
+test('rejects schedules that never run', () => {
+    assert.equal(parseSchedule('0 0 31 2 *', 'UTC').error, 'This schedule never runs');
+});
+
+test('rejects schedules that run too often', () => {
+    assert.match(parseSchedule('*/5 * * * *', 'UTC').error, /at least 10 minutes apart/);
+    assert.equal(parseSchedule('*/10 * * * *', 'UTC').error, null);
+});
+
+test('rejects invalid input', () => {
+    assert.equal(parseSchedule('', 'UTC').error, 'Schedule is empty');
+    assert.match(parseSchedule('0 8 * * 8', 'UTC').error, /Invalid cron expression/);
+    assert.match(parseSchedule('someday 08:00', 'UTC').error, /Unknown days/);
+    assert.match(parseSchedule('weekdays 8am', 'UTC').error, /24-hour HH:MM/);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSubscription, findMatchingSubscription, isSubscriptionDisabled } = require('../src/subscriptions');
+
+test('matches plain keywords and regexes', () => {
+    const article = { title: 'Seminar PPL Januari', body: '' };
+
+    assert.equal(findMatchingSubscription(article, ['ujian', 'seminar']), 'seminar');
+    assert.equal(findMatchingSubscription(article, ['/ppl\\s+jan/']), '/ppl\\s+jan/');
+    assert.equal(findMatchingSubscription(article, ['ujian', '/^ujian/']), null);
+});
+
+test('rejects long patterns and nested quantifiers', () => {
+    assert.match(parseSubscription(`/${'a'.repeat(101)}/`).error, /too long/);
+    assert.match(parseSubscription('/(a+)+$/').error, /repeats a group/);
+    assert.equal(parseSubscription('/(a|b)+/').error, null);
+});
+
+test('a pattern that backtracks too long is stopped and disabled', () => {
+    const slow = '/(a|a)*c/';
+    const started = Date.now();
+
+    assert.equal(findMatchingSubscription({ title: 'a'.repeat(28) }, [slow, 'aaa']), 'aaa');
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(isSubscriptionDisabled(slow), true);
+    assert.equal(findMatchingSubscription({ title: 'ac' }, [slow]), null);
+});